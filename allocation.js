@@ -0,0 +1,194 @@
+const mongoose = require("mongoose");
+const { sectionOf } = require("./tickets");
+const { hasAttribute } = require("./seatMaps");
+const { seatGrid, entranceDistances } = require("./routing");
+const { listPrice } = require("./pricing");
+const { SeatHoldError, MAX_SEATS_PER_USER, isUnavailable, holdSeats } = require("./seatHolds");
+
+// Seat score = distance to the stage + ENTRANCE_WEIGHT x walk to the nearest
+// entrance. Lower is better.
+const ENTRANCE_WEIGHT = 0.25;
+// Extra cost per grid cell a seat sits away from the rest of a split group
+const SPREAD_WEIGHT = 1;
+// Seats tried as the centre of a split group when no row has room for everyone
+const FALLBACK_ANCHORS = 50;
+// Fresh picks made when another booking takes the chosen seats first
+const MAX_ATTEMPTS = 3;
+
+const distance = (a, b) => Math.hypot(a.row - b.row, a.col - b.col);
+
+const wholeNumber = (value, field, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new SeatHoldError(400, `${field} must be a whole number between ${min} and ${max}.`);
+  }
+  return number;
+};
+
+const optionalPrice = (value, field) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) throw new SeatHoldError(400, `${field} must be a non-negative number.`);
+  return number;
+};
+
+// Reads { quantity, section, minPrice, maxPrice, wheelchair } from a request body.
+// `wheelchair` is how many of the seats must be wheelchair spaces.
+const parseAllocationRequest = (body) => {
+  const quantity = wholeNumber(body.quantity, "quantity", 1, MAX_SEATS_PER_USER);
+  const wheelchair = body.wheelchair ? wholeNumber(body.wheelchair, "wheelchair", 0, quantity) : 0;
+  const request = {
+    quantity,
+    wheelchair,
+    section: body.section ? String(body.section) : undefined,
+    minPrice: optionalPrice(body.minPrice, "minPrice"),
+    maxPrice: optionalPrice(body.maxPrice, "maxPrice"),
+  };
+  if (request.minPrice !== undefined && request.maxPrice !== undefined && request.minPrice > request.maxPrice) {
+    throw new SeatHoldError(400, "minPrice cannot be more than maxPrice.");
+  }
+  return request;
+};
+
+// Without a stage point the stage is taken to be centred in front of the first row
+const stageOf = (venue, positions) => {
+  if (venue?.stage?.row !== undefined && venue?.stage?.col !== undefined) return venue.stage;
+  const cols = [...positions.values()].map((point) => point.col);
+  return { row: 0, col: (Math.min(...cols) + Math.max(...cols)) / 2 };
+};
+
+// Wheelchair and companion seats only go to requests that asked for wheelchair spaces
+const isValidGroup = (group, wheelchair) => {
+  const wheelchairSeats = group.filter((seat) => hasAttribute(seat, "wheelchair")).length;
+  const companions = group.filter((seat) => hasAttribute(seat, "companion")).length;
+  return wheelchairSeats === wheelchair && companions <= wheelchair;
+};
+
+const averageScore = (group) => group.reduce((sum, seat) => sum + seat.score, 0) / group.length;
+
+// Best run of side-by-side seats in one row, or null
+const bestInRow = (candidates, { quantity, wheelchair }) => {
+  const rows = new Map();
+  candidates.forEach((seat) => {
+    const key = `${sectionOf(seat.id)}|${seat.row}`;
+    rows.set(key, [...(rows.get(key) || []), seat]);
+  });
+
+  let best = null;
+  rows.forEach((rowSeats) => {
+    rowSeats.sort((a, b) => a.column - b.column);
+    for (let start = 0; start + quantity <= rowSeats.length; start++) {
+      const group = rowSeats.slice(start, start + quantity);
+      const adjacent = group.every((seat, i) => i === 0 || seat.column === group[i - 1].column + 1);
+      if (!adjacent || !isValidGroup(group, wheelchair)) continue;
+      const score = averageScore(group);
+      if (!best || score < best.score) best = { group, score };
+    }
+  });
+  return best;
+};
+
+// Builds a group around each of the best-scoring seats from the seats nearest
+// to it, and keeps the group with the lowest score plus spread
+const bestNearby = (candidates, { quantity, wheelchair }) => {
+  const anchors = [...candidates].sort((a, b) => a.score - b.score).slice(0, FALLBACK_ANCHORS);
+
+  let best = null;
+  anchors.forEach((anchor) => {
+    const byDistance = [...candidates].sort(
+      (a, b) => distance(a.position, anchor.position) - distance(b.position, anchor.position) || a.score - b.score
+    );
+    const wheelchairSeats = byDistance.filter((seat) => hasAttribute(seat, "wheelchair")).slice(0, wheelchair);
+    const others = [];
+    let companions = 0;
+    for (const seat of byDistance) {
+      if (others.length === quantity - wheelchair) break;
+      if (hasAttribute(seat, "wheelchair")) continue;
+      if (hasAttribute(seat, "companion")) {
+        if (companions === wheelchair) continue;
+        companions += 1;
+      }
+      others.push(seat);
+    }
+
+    const group = [...wheelchairSeats, ...others];
+    if (group.length !== quantity || !isValidGroup(group, wheelchair)) return;
+    const spread = group.reduce((sum, seat) => sum + distance(seat.position, anchor.position), 0);
+    const score = averageScore(group) + (SPREAD_WEIGHT * spread) / quantity;
+    if (!best || score < best.score) best = { group, score };
+  });
+  return best;
+};
+
+// Picks `quantity` seats from an event layout, or returns null when too few
+// seats match. Prefers side-by-side seats in one row and falls back to seats
+// close together across nearby rows.
+const pickBestAvailable = ({ event, venue, quantity, wheelchair = 0, section, minPrice, maxPrice, now = new Date() }) => {
+  const positions = seatGrid(event.seatingLayout);
+  if (positions.size === 0) return null;
+  const stage = stageOf(venue, positions);
+  const walks = entranceDistances(event.seatingLayout, venue?.entrances);
+
+  const prices = new Map();
+  const priceOf = (sectionName) => {
+    if (!prices.has(sectionName)) prices.set(sectionName, listPrice(event, sectionName, now));
+    return prices.get(sectionName);
+  };
+
+  const candidates = event.seatingLayout
+    .filter((seat) => {
+      if (isUnavailable(seat, now)) return false;
+      if (!wheelchair && (hasAttribute(seat, "wheelchair") || hasAttribute(seat, "companion"))) return false;
+      const seatSection = sectionOf(seat.id);
+      if (section && seatSection !== section) return false;
+      const price = priceOf(seatSection);
+      return (minPrice === undefined || price >= minPrice) && (maxPrice === undefined || price <= maxPrice);
+    })
+    .map((seat) => {
+      const position = positions.get(seat.id);
+      const walk = walks.get(seat.id) ?? 0;
+      return {
+        id: seat.id,
+        row: seat.row,
+        column: seat.column,
+        attributes: seat.attributes,
+        position,
+        score: distance(position, stage) + ENTRANCE_WEIGHT * walk,
+      };
+    });
+  if (candidates.length < quantity) return null;
+
+  const best = bestInRow(candidates, { quantity, wheelchair }) || bestNearby(candidates, { quantity, wheelchair });
+  return best ? best.group.sort((a, b) => a.position.row - b.position.row || a.column - b.column).map((seat) => seat.id) : null;
+};
+
+// Picks seats and holds them through holdSeats, so the same per-user limits
+// and race checks apply as for hand-picked seats. Picks again if another
+// booking takes the seats between the pick and the hold.
+const holdBestAvailable = async ({ eventId, userId, request, durationMs }) => {
+  const Event = mongoose.model("Event");
+
+  for (let attempt = 1; ; attempt++) {
+    const event = await Event.findById(
+      eventId,
+      "seatingLayout venueId ticketPrice sectionPrices ticketTypes priceTiers"
+    ).lean();
+    if (!event) throw new SeatHoldError(404, "Event not found");
+    const venue = await mongoose.model("Venue").findById(event.venueId, "entrances stage").lean();
+
+    const seatIds = pickBestAvailable({ event, venue, ...request });
+    if (!seatIds) throw new SeatHoldError(409, "Not enough seats are available to match your request.");
+
+    try {
+      return await holdSeats({ eventId, userId, seatIds, durationMs });
+    } catch (err) {
+      if (!err.taken || attempt === MAX_ATTEMPTS) throw err;
+    }
+  }
+};
+
+module.exports = {
+  parseAllocationRequest,
+  pickBestAvailable,
+  holdBestAvailable,
+};
@@ -0,0 +1,405 @@
+const mongoose = require("mongoose");
+const { sectionOf } = require("./tickets");
+const { hasAttribute, spreadsheetCsvCell } = require("./seatMaps");
+
+// Buckets for sales over time, passed to $dateTrunc
+const INTERVALS = ["hour", "day", "week", "month"];
+const DEFAULT_ARRIVAL_MINUTES = 15;
+
+class AnalyticsError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0);
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new AnalyticsError(400, `${field} must be a date.`);
+  return date;
+};
+
+// Reads ?from, ?to, ?interval and ?arrivalMinutes. The range limits each
+// figure by when it happened: payments and refunds, ticket purchases,
+// discount redemptions and gate scans.
+const parseAnalyticsQuery = (query) => {
+  const options = {
+    from: query.from ? parseDate(query.from, "from") : undefined,
+    to: query.to ? parseDate(query.to, "to") : undefined,
+    interval: query.interval || "day",
+    arrivalMinutes: query.arrivalMinutes === undefined ? DEFAULT_ARRIVAL_MINUTES : Number(query.arrivalMinutes),
+  };
+  if (options.from && options.to && options.from > options.to) {
+    throw new AnalyticsError(400, "from cannot be after to.");
+  }
+  if (!INTERVALS.includes(options.interval)) {
+    throw new AnalyticsError(400, `interval must be one of: ${INTERVALS.join(", ")}`);
+  }
+  if (!Number.isInteger(options.arrivalMinutes) || options.arrivalMinutes < 1 || options.arrivalMinutes > 240) {
+    throw new AnalyticsError(400, "arrivalMinutes must be a whole number between 1 and 240.");
+  }
+  return options;
+};
+
+const inRange = (field, { from, to }) => {
+  if (!from && !to) return {};
+  return { [field]: { ...(from && { $gte: from }), ...(to && { $lte: to }) } };
+};
+
+const periodOf = (field, interval) => ({ $dateTrunc: { date: field, unit: interval } });
+
+// Payments bucketed by when they were made, refunds by when they were issued
+const salesFigures = async (eventIds, options) => {
+  const Order = mongoose.model("Order");
+  const [payments, refunds] = await Promise.all([
+    Order.aggregate([
+      { $match: { eventId: { $in: eventIds }, paidAt: { $ne: null }, ...inRange("paidAt", options) } },
+      {
+        $group: {
+          _id: { eventId: "$eventId", period: periodOf("$paidAt", options.interval) },
+          orders: { $sum: 1 },
+          ticketsSold: { $sum: { $size: "$items" } },
+          grossRevenue: { $sum: "$amount" },
+        },
+      },
+    ]),
+    Order.aggregate([
+      { $match: { eventId: { $in: eventIds }, "refunds.0": { $exists: true } } },
+      { $unwind: "$refunds" },
+      { $match: inRange("refunds.at", options) },
+      {
+        $group: {
+          _id: { eventId: "$eventId", period: periodOf("$refunds.at", options.interval) },
+          ticketsRefunded: { $sum: { $size: "$refunds.seatIds" } },
+          refunds: { $sum: "$refunds.amount" },
+        },
+      },
+    ]),
+  ]);
+  return [...payments, ...refunds];
+};
+
+const emptySales = () => ({ orders: 0, ticketsSold: 0, ticketsRefunded: 0, grossRevenue: 0, refunds: 0 });
+
+const addSales = (target, row) => {
+  ["orders", "ticketsSold", "ticketsRefunded", "grossRevenue", "refunds"].forEach((key) => {
+    target[key] += row[key] || 0;
+  });
+  return target;
+};
+
+const salesBucket = (map, key) => {
+  if (!map.has(key)) map.set(key, emptySales());
+  return map.get(key);
+};
+
+const finishSales = (sales) => ({
+  ...sales,
+  grossRevenue: roundMoney(sales.grossRevenue),
+  refunds: roundMoney(sales.refunds),
+  netRevenue: roundMoney(sales.grossRevenue - sales.refunds),
+});
+
+// Seats per section that can be sold, against tickets still valid
+const sectionFigures = async (events, eventIds, options) => {
+  const sold = await mongoose.model("Ticket").aggregate([
+    { $match: { eventId: { $in: eventIds }, status: "valid", ...inRange("purchasedAt", options) } },
+    { $group: { _id: { eventId: "$eventId", section: "$section" }, sold: { $sum: 1 } } },
+  ]);
+  const soldBy = new Map(sold.map((row) => [`${row._id.eventId}|${row._id.section}`, row.sold]));
+
+  return events.flatMap((event) => {
+    const capacity = new Map();
+    (event.seatingLayout || []).forEach((seat) => {
+      if (hasAttribute(seat, "blocked")) return;
+      const sectionName = sectionOf(seat.id);
+      capacity.set(sectionName, (capacity.get(sectionName) || 0) + 1);
+    });
+    return [...capacity].map(([sectionName, seats]) => {
+      const ticketsSold = soldBy.get(`${event._id}|${sectionName}`) || 0;
+      return {
+        eventId: event._id,
+        eventName: event.eventName,
+        sectionName,
+        capacity: seats,
+        sold: ticketsSold,
+        sellThrough: rate(ticketsSold, seats),
+      };
+    });
+  });
+};
+
+// Every code, used or not, with redemptions in the range
+const discountFigures = async (events, eventIds, options) => {
+  const [codes, redemptions] = await Promise.all([
+    mongoose.model("DiscountCode").find({ eventId: { $in: eventIds } }).sort({ createdAt: 1 }).lean(),
+    mongoose.model("DiscountRedemption").aggregate([
+      { $match: { eventId: { $in: eventIds }, ...inRange("redeemedAt", options) } },
+      { $group: { _id: "$codeId", uses: { $sum: 1 }, discountTotal: { $sum: "$amount" } } },
+    ]),
+  ]);
+  const names = new Map(events.map((event) => [event._id.toString(), event.eventName]));
+  const usage = new Map(redemptions.map((row) => [row._id.toString(), row]));
+
+  return codes.map((code) => {
+    const used = usage.get(code._id.toString());
+    return {
+      eventId: code.eventId,
+      eventName: names.get(code.eventId.toString()),
+      code: code.code,
+      type: code.type,
+      value: code.value,
+      active: code.active,
+      maxUses: code.maxUses ?? null,
+      uses: used?.uses || 0,
+      discountTotal: roundMoney(used?.discountTotal || 0),
+    };
+  });
+};
+
+// Of the tickets sold in the range and still valid, how many were used
+const checkInFigures = async (eventIds, options) => {
+  const rows = await mongoose.model("Ticket").aggregate([
+    { $match: { eventId: { $in: eventIds }, status: "valid", ...inRange("purchasedAt", options) } },
+    {
+      $group: {
+        _id: "$eventId",
+        ticketsSold: { $sum: 1 },
+        checkedIn: { $sum: { $cond: [{ $ifNull: ["$firstEntryAt", false] }, 1, 0] } },
+      },
+    },
+  ]);
+  return new Map(rows.map((row) => [row._id.toString(), row]));
+};
+
+// First entries per entrance in `arrivalMinutes` buckets; re-entries don't count as arrivals
+const arrivalFigures = async (events, eventIds, options) => {
+  const rows = await mongoose.model("ScanLog").aggregate([
+    {
+      $match: {
+        eventId: { $in: eventIds },
+        accepted: true,
+        direction: "entry",
+        reentry: { $ne: true },
+        ...inRange("scannedAt", options),
+      },
+    },
+    {
+      $group: {
+        _id: {
+          eventId: "$eventId",
+          row: "$entrance.row",
+          col: "$entrance.col",
+          at: { $dateTrunc: { date: "$scannedAt", unit: "minute", binSize: options.arrivalMinutes } },
+        },
+        arrivals: { $sum: 1 },
+      },
+    },
+    { $sort: { "_id.at": 1 } },
+  ]);
+  const names = new Map(events.map((event) => [event._id.toString(), event.eventName]));
+
+  const entrances = new Map();
+  rows.forEach(({ _id, arrivals }) => {
+    const key = `${_id.eventId}|${_id.row}|${_id.col}`;
+    if (!entrances.has(key)) {
+      entrances.set(key, {
+        eventId: _id.eventId,
+        eventName: names.get(_id.eventId.toString()),
+        entrance: { row: _id.row, col: _id.col },
+        total: 0,
+        peak: null,
+        series: [],
+      });
+    }
+    const entrance = entrances.get(key);
+    entrance.total += arrivals;
+    entrance.series.push({ at: _id.at, arrivals });
+    if (!entrance.peak || arrivals > entrance.peak.arrivals) entrance.peak = { at: _id.at, arrivals };
+  });
+  return [...entrances.values()];
+};
+
+const organizerFigures = async (eventRows) => {
+  const organizers = new Map();
+  eventRows.forEach((row) => {
+    const key = row.organizerId?.toString() || "none";
+    const organizer = organizers.get(key) || {
+      organizerId: row.organizerId || null,
+      events: 0,
+      ...emptySales(),
+      validTickets: 0,
+      checkedIn: 0,
+    };
+    organizer.events += 1;
+    addSales(organizer, row);
+    organizer.validTickets += row.validTickets;
+    organizer.checkedIn += row.checkedIn;
+    organizers.set(key, organizer);
+  });
+
+  const ids = [...organizers.values()].map((organizer) => organizer.organizerId).filter(Boolean);
+  const users = await mongoose.model("User").find({ _id: { $in: ids } }, "name email").lean();
+  const userById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  return [...organizers.values()]
+    .map((organizer) => ({
+      ...finishSales(organizer),
+      name: userById.get(organizer.organizerId?.toString())?.name,
+      email: userById.get(organizer.organizerId?.toString())?.email,
+      checkInRate: rate(organizer.checkedIn, organizer.validTickets),
+    }))
+    .sort((a, b) => b.netRevenue - a.netRevenue);
+};
+
+// Builds every figure for the events matching `eventFilter`. `byOrganizer`
+// adds a per-organizer breakdown for the platform-wide view.
+const buildAnalytics = async ({ eventFilter, options, byOrganizer = false }) => {
+  const events = await mongoose
+    .model("Event")
+    .find(eventFilter, "eventName eventDate time status organizerId parentEventId seatingLayout.id seatingLayout.attributes")
+    .sort({ eventDate: 1, _id: 1 })
+    .lean();
+  const eventIds = events.map((event) => event._id);
+
+  const [sales, sections, discounts, checkIns, arrivals] = await Promise.all([
+    salesFigures(eventIds, options),
+    sectionFigures(events, eventIds, options),
+    discountFigures(events, eventIds, options),
+    checkInFigures(eventIds, options),
+    arrivalFigures(events, eventIds, options),
+  ]);
+
+  const periods = new Map();
+  const perEvent = new Map();
+  sales.forEach(({ _id, ...row }) => {
+    addSales(salesBucket(periods, _id.period.toISOString()), row);
+    addSales(salesBucket(perEvent, _id.eventId.toString()), row);
+  });
+
+  const eventRows = events.map((event) => {
+    const checkIn = checkIns.get(event._id.toString()) || { ticketsSold: 0, checkedIn: 0 };
+    return {
+      eventId: event._id,
+      eventName: event.eventName,
+      eventDate: event.eventDate,
+      status: event.status,
+      organizerId: event.organizerId,
+      parentEventId: event.parentEventId,
+      ...finishSales(perEvent.get(event._id.toString()) || emptySales()),
+      validTickets: checkIn.ticketsSold,
+      checkedIn: checkIn.checkedIn,
+      checkInRate: rate(checkIn.checkedIn, checkIn.ticketsSold),
+    };
+  });
+
+  const totals = finishSales(eventRows.reduce(addSales, emptySales()));
+  totals.events = events.length;
+  totals.validTickets = eventRows.reduce((sum, row) => sum + row.validTickets, 0);
+  totals.checkedIn = eventRows.reduce((sum, row) => sum + row.checkedIn, 0);
+  totals.checkInRate = rate(totals.checkedIn, totals.validTickets);
+
+  const report = {
+    range: { from: options.from || null, to: options.to || null, interval: options.interval },
+    totals,
+    salesOverTime: [...periods]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([period, row]) => ({ period, ...finishSales(row) })),
+    events: eventRows,
+    sections,
+    discounts,
+    arrivals,
+  };
+  if (byOrganizer) report.organizers = await organizerFigures(eventRows);
+  return report;
+};
+
+// CSV exports, one per figure: ?format=csv&report=<name>
+const CSV_REPORTS = {
+  sales: {
+    columns: ["period", "orders", "ticketsSold", "ticketsRefunded", "grossRevenue", "refunds", "netRevenue"],
+    rows: (report) => report.salesOverTime,
+  },
+  events: {
+    columns: [
+      "eventId",
+      "eventName",
+      "eventDate",
+      "status",
+      "orders",
+      "ticketsSold",
+      "ticketsRefunded",
+      "grossRevenue",
+      "refunds",
+      "netRevenue",
+      "validTickets",
+      "checkedIn",
+      "checkInRate",
+    ],
+    rows: (report) => report.events,
+  },
+  sections: {
+    columns: ["eventId", "eventName", "sectionName", "capacity", "sold", "sellThrough"],
+    rows: (report) => report.sections,
+  },
+  discounts: {
+    columns: ["eventId", "eventName", "code", "type", "value", "active", "maxUses", "uses", "discountTotal"],
+    rows: (report) => report.discounts,
+  },
+  arrivals: {
+    columns: ["eventId", "eventName", "entranceRow", "entranceCol", "at", "arrivals"],
+    rows: (report) =>
+      report.arrivals.flatMap((entrance) =>
+        entrance.series.map(({ at, arrivals }) => ({
+          eventId: entrance.eventId,
+          eventName: entrance.eventName,
+          entranceRow: entrance.entrance.row,
+          entranceCol: entrance.entrance.col,
+          at,
+          arrivals,
+        }))
+      ),
+  },
+  organizers: {
+    columns: [
+      "organizerId",
+      "name",
+      "email",
+      "events",
+      "ticketsSold",
+      "ticketsRefunded",
+      "grossRevenue",
+      "refunds",
+      "netRevenue",
+      "checkInRate",
+    ],
+    rows: (report) => report.organizers || [],
+  },
+};
+
+const cellValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const analyticsToCsv = (report, name) => {
+  const csv = CSV_REPORTS[name];
+  if (!csv) throw new AnalyticsError(400, `report must be one of: ${Object.keys(CSV_REPORTS).join(", ")}`);
+  return (
+    [
+      csv.columns.join(","),
+      ...csv
+        .rows(report)
+        .map((row) => csv.columns.map((column) => spreadsheetCsvCell(cellValue(row[column]))).join(",")),
+    ].join("\n") + "\n"
+  );
+};
+
+module.exports = {
+  INTERVALS,
+  CSV_REPORTS,
+  AnalyticsError,
+  parseAnalyticsQuery,
+  buildAnalytics,
+  analyticsToCsv,
+};
@@ -0,0 +1,335 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const mongoose = require("mongoose");
+
+// Names for the routes people search the log for. Any other state-changing
+// route is logged under its method and path, e.g. "POST /api/events/:eventId/quote".
+// :action(...) segments are filled in, so "POST /api/events/:eventId/publish" is its own action.
+const ACTIONS = {
+  "POST /api/events": "event.create",
+  "PUT /api/events/:eventId": "event.update",
+  "DELETE /api/events/:eventId": "event.delete",
+  "PUT /api/events/:eventId/seats/:seatId": "seat.override",
+  "POST /api/events/:eventId/publish": "event.publish",
+  "POST /api/events/:eventId/close-sales": "event.closeSales",
+  "POST /api/events/:eventId/reopen-sales": "event.reopenSales",
+  "POST /api/events/:eventId/complete": "event.complete",
+  "POST /api/events/:eventId/cancel": "event.cancel",
+  "POST /api/events/:eventId/reschedule": "event.reschedule",
+  "PUT /api/events/:eventId/pricing": "event.pricing",
+  "PUT /api/events/:eventId/book-seats": "booking.create",
+  "POST /api/bookings": "booking.create",
+  "POST /api/orders/:orderId/cancel": "order.cancel",
+  "POST /api/orders/:orderId/refund": "order.refund",
+  "DELETE /api/admin/delete-event/:eventId": "admin.event.delete",
+  "PUT /api/admin/users/:userId/role": "admin.user.role",
+  "POST /api/admin/users/:userId/unlock": "admin.user.unlock",
+  "POST /api/logout": "session.logout",
+  "PUT /api/password": "user.password",
+};
+
+// High-volume or purely personal writes that are left out of the log. Scans
+// are already kept in ScanLog.
+const SKIPPED = new Set([
+  "POST /api/events/:eventId/check-in/scan",
+  "POST /api/events/:eventId/check-in/batch",
+  "PUT /api/notifications/:notificationId",
+  "POST /api/notifications/read-all",
+  "PUT /api/notifications/preferences",
+]);
+
+// The most specific route parameter names the resource an entry is about
+const RESOURCE_PARAMS = [
+  ["seatId", "seat"],
+  ["incidentId", "incident"],
+  ["assignmentId", "staffAssignment"],
+  ["codeId", "discountCode"],
+  ["orderId", "order"],
+  ["ticketId", "ticket"],
+  ["transferId", "ticketTransfer"],
+  ["holdId", "seatHold"],
+  ["entryId", "waitlistEntry"],
+  ["jobId", "notificationJob"],
+  ["userId", "user"],
+  ["venueId", "venue"],
+  ["eventId", "event"],
+];
+
+const MAX_DIFF_ENTRIES = 100; // per document; the rest is marked truncated
+const MAX_TRACKED_DOCS = 100; // per bulk update
+
+const changeSchema = new mongoose.Schema(
+  {
+    model: String,
+    documentId: String,
+    op: { type: String, enum: ["create", "update", "delete"] },
+    summary: mongoose.Schema.Types.Mixed, // a few identifying fields, for creates and deletes
+    diff: [{ _id: false, path: String, before: mongoose.Schema.Types.Mixed, after: mongoose.Schema.Types.Mixed }],
+    truncated: Boolean,
+  },
+  { _id: false }
+);
+
+const auditEntrySchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  role: String,
+  ip: String,
+  userAgent: String,
+  method: String,
+  path: String,
+  route: String,
+  action: String,
+  resource: { type: { type: String }, id: String },
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event" },
+  status: Number, // HTTP status, so refused attempts show up too
+  changes: [changeSchema],
+});
+auditEntrySchema.index({ at: -1 });
+auditEntrySchema.index({ userId: 1, at: -1 });
+auditEntrySchema.index({ eventId: 1, at: -1 });
+auditEntrySchema.index({ "resource.type": 1, "resource.id": 1, at: -1 });
+auditEntrySchema.index({ action: 1, at: -1 });
+
+// Append-only: nothing in the app may change or remove an entry
+const refuse = function () {
+  throw new Error("The audit log is append-only");
+};
+auditEntrySchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"],
+  refuse
+);
+auditEntrySchema.pre("save", function () {
+  if (!this.isNew) refuse();
+});
+
+const AuditEntry = mongoose.models.AuditEntry || mongoose.model("AuditEntry", auditEntrySchema);
+
+class AuditError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Request being audited, so model hooks can attach what they changed to it
+const context = new AsyncLocalStorage();
+
+// Diffs
+
+// Dates become ISO strings and ObjectIds hex strings, so values compare and store simply
+const plain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const keyOf = (item) => (isObject(item) ? item.id ?? item._id : undefined);
+// Arrays of subdocuments (seats, status history) are compared item by item
+const isKeyed = (list) => Array.isArray(list) && list.length > 0 && list.every((item) => keyOf(item) !== undefined);
+
+const diffValues = (before, after, path, out) => {
+  if (JSON.stringify(before) === JSON.stringify(after)) return out;
+
+  if ((isKeyed(before) || isKeyed(after)) && [before, after].every((list) => list === undefined || Array.isArray(list))) {
+    const byKey = (list) => new Map((list || []).map((item) => [String(keyOf(item)), item]));
+    const [previous, next] = [byKey(before), byKey(after)];
+    new Set([...previous.keys(), ...next.keys()]).forEach((key) =>
+      diffValues(previous.get(key), next.get(key), `${path}.${key}`, out)
+    );
+  } else if (isObject(before) && isObject(after)) {
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) =>
+      diffValues(before[key], after[key], path ? `${path}.${key}` : key, out)
+    );
+  } else {
+    out.push({ path, before: before ?? null, after: after ?? null });
+  }
+  return out;
+};
+
+const pickFields = (doc, fields) => Object.fromEntries(fields.filter((field) => doc?.[field] !== undefined).map((field) => [field, plain(doc[field])]));
+
+const without = (doc, exclude) => {
+  const copy = plain(doc);
+  ["__v", "updatedAt", ...exclude].forEach((field) => delete copy[field]);
+  return copy;
+};
+
+// Model plugin: records creates, updates (with a field-level diff) and deletes
+// of the model's documents made while an audited request is running.
+// `summary` names the fields kept for creates and deletes; `exclude` fields
+// never appear in the log.
+const auditChanges = (schema, { model, summary = [], exclude = [] }) => {
+  const record = (op, before, after) => {
+    const ctx = context.getStore();
+    if (!ctx) return;
+    const doc = after || before;
+    const change = { model, documentId: String(doc._id), op };
+    if (op === "update") {
+      const diff = diffValues(without(before, exclude), without(after, exclude), "", []);
+      if (diff.length === 0) return;
+      change.diff = diff.slice(0, MAX_DIFF_ENTRIES);
+      if (diff.length > MAX_DIFF_ENTRIES) change.truncated = true;
+    } else {
+      change.summary = pickFields(doc, summary);
+    }
+    ctx.changes.push(change);
+  };
+
+  // Documents loaded during an audited request remember how they looked
+  schema.post("init", function () {
+    if (context.getStore()) this.$locals.auditBefore = this.toObject({ depopulate: true });
+  });
+  schema.pre("save", function () {
+    this.$locals.auditWasNew = this.isNew;
+  });
+  schema.post("save", function () {
+    if (!context.getStore()) return;
+    const after = this.toObject({ depopulate: true });
+    if (this.$locals.auditWasNew) record("create", null, after);
+    else if (this.$locals.auditBefore) record("update", this.$locals.auditBefore, after);
+    this.$locals.auditBefore = after;
+  });
+
+  // Query writes: load the affected documents before and after
+  const tracked = new WeakMap();
+  const single = ["findOneAndUpdate", "updateOne", "findOneAndDelete", "deleteOne"];
+  const bulk = ["updateMany", "deleteMany"];
+
+  schema.pre([...single, ...bulk], { document: false, query: true }, async function () {
+    if (!context.getStore()) return;
+    const befores = single.includes(this.op)
+      ? [await this.model.findOne(this.getFilter()).lean()].filter(Boolean)
+      : await this.model.find(this.getFilter()).limit(MAX_TRACKED_DOCS).lean();
+    tracked.set(this, befores);
+  });
+  schema.post([...single, ...bulk], { document: false, query: true }, async function () {
+    const befores = tracked.get(this);
+    if (!befores?.length) return;
+    tracked.delete(this);
+
+    if (["findOneAndDelete", "deleteOne", "deleteMany"].includes(this.op)) {
+      befores.forEach((before) => record("delete", before, null));
+      return;
+    }
+    const afters = await this.model.find({ _id: { $in: befores.map((doc) => doc._id) } }).lean();
+    const afterById = new Map(afters.map((doc) => [String(doc._id), doc]));
+    befores.forEach((before) => {
+      const after = afterById.get(String(before._id));
+      if (after) record("update", before, after);
+    });
+  });
+};
+
+// Request middleware
+
+const routeOf = (req) => {
+  const pattern = req.route?.path;
+  if (typeof pattern !== "string") return null;
+  return pattern.replace(/:(\w+)\([^)]*\)/g, (match, name) => req.params[name] ?? match);
+};
+
+const resourceOf = (req, changes) => {
+  const param = RESOURCE_PARAMS.find(([name]) => req.params?.[name]);
+  if (param) return { type: param[1], id: String(req.params[param[0]]) };
+  // Creates have no id in the path; the first document created names the resource
+  const created = changes.find((change) => change.op === "create");
+  if (created) return { type: created.model.charAt(0).toLowerCase() + created.model.slice(1), id: created.documentId };
+  return { type: (req.route?.path || "").split("/")[2] };
+};
+
+const eventIdOf = (req, changes) => {
+  const candidates = [
+    req.params?.eventId,
+    req.body?.eventId,
+    changes.find((change) => change.model === "Event")?.documentId,
+  ];
+  return candidates.find((id) => id && mongoose.Types.ObjectId.isValid(id));
+};
+
+const WRITE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+// Mount before the routes. Every state-changing request by a signed-in user is
+// written to the log once the response has gone out, with whatever the
+// audited models recorded while it ran.
+const auditTrail = (req, res, next) => {
+  if (!WRITE_METHODS.includes(req.method)) return next();
+
+  const ctx = { changes: [] };
+  res.on("finish", () => {
+    const route = routeOf(req);
+    if (!req.user || !route) return;
+    const key = `${req.method} ${route}`;
+    if (SKIPPED.has(`${req.method} ${req.route.path}`)) return;
+
+    AuditEntry.create({
+      userId: req.user.id,
+      role: req.user.role,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      route: req.route.path,
+      action: ACTIONS[key] || key,
+      resource: resourceOf(req, ctx.changes),
+      eventId: eventIdOf(req, ctx.changes),
+      status: res.statusCode,
+      changes: ctx.changes,
+    }).catch((err) => console.error("Audit Log Error:", err.message));
+  });
+  context.run(ctx, next);
+};
+
+// Queries
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new AuditError(400, `${field} must be a date.`);
+  return date;
+};
+
+const parseObjectId = (value, field) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) throw new AuditError(400, `Invalid ${field} format.`);
+  return value;
+};
+
+// Newest first. Pass the previous page's nextBefore as ?before= for the next one.
+// `scope` is merged into the filter; `projection` trims what each entry returns.
+const queryAudit = async (query, scope = {}, { projection } = {}) => {
+  const { userId, resourceType, resourceId, eventId, action, from, to, before, limit = 50 } = query;
+  const pageSize = Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 200) {
+    throw new AuditError(400, "limit must be a whole number between 1 and 200.");
+  }
+
+  const filter = {};
+  if (userId) filter.userId = parseObjectId(userId, "userId");
+  if (resourceType) filter["resource.type"] = String(resourceType);
+  if (resourceId) filter["resource.id"] = String(resourceId);
+  if (eventId) filter.eventId = parseObjectId(eventId, "eventId");
+  // "event.*" matches every event action
+  if (action) {
+    const name = String(action);
+    filter.action = name.endsWith(".*") ? { $regex: `^${name.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` } : name;
+  }
+  if (from || to || before) {
+    filter.at = {};
+    if (from) filter.at.$gte = parseDate(from, "from");
+    if (to) filter.at.$lte = parseDate(to, "to");
+    if (before) filter.at.$lt = parseDate(before, "before");
+  }
+  Object.assign(filter, scope);
+
+  const entries = await AuditEntry.find(filter, projection)
+    .populate("userId", "name email")
+    .sort({ at: -1 })
+    .limit(pageSize + 1)
+    .lean();
+  const page = entries.slice(0, pageSize);
+  return { entries: page, nextBefore: entries.length > pageSize ? page[page.length - 1].at : null };
+};
+
+module.exports = {
+  ACTIONS,
+  AuditEntry,
+  AuditError,
+  auditChanges,
+  auditTrail,
+  queryAudit,
+};
@@ -1,27 +1,42 @@
 const jwt = require("jsonwebtoken");
 const dotenv = require("dotenv");
+const { jwtSecret, isSessionActive } = require("./sessions");
 
 dotenv.config();
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.header("Authorization"); // Get token from headers
 
   if (!token) {
-    return res.status(401).json({ message: "No token, authorization denied" });
+    return res.status(401).json({ message: "No token, authorization denied", code: "TOKEN_MISSING" });
   }
 
+  let decoded;
   try {
     const tokenParts = token.split(" ");
     if (tokenParts.length !== 2 || tokenParts[0] !== "Bearer") {
-      return res.status(401).json({ message: "Invalid token format" });
+      return res.status(401).json({ message: "Invalid token format", code: "TOKEN_INVALID" });
     }
 
-    const decoded = jwt.verify(tokenParts[1], process.env.JWT_SECRET);
-    req.user = decoded; // Attach user info to request
-    next();
+    decoded = jwt.verify(tokenParts[1], jwtSecret);
   } catch (err) {
-    res.status(401).json({ message: "Token is not valid" });
+    return res.status(401).json({ message: "Token is not valid", code: "TOKEN_INVALID" });
   }
+
+  try {
+    // Access tokens are tied to a login session so logout can revoke them
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: "Session has expired or been revoked", code: "SESSION_EXPIRED" });
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  req.user = decoded; // Attach user info to request
+  next();
 };
 
+// For public routes that show more to signed-in users: only checks a token when one is sent
+authMiddleware.optional = (req, res, next) => (req.header("Authorization") ? authMiddleware(req, res, next) : next());
+
 module.exports = authMiddleware;
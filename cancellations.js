@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const { OrderError, refundOrder } = require("./orders");
+const { eventStartsAt } = require("./eventSchedule");
+
+// Used for any part of the policy an organizer hasn't set
+const DEFAULT_POLICY = { allowed: false, cutoffHours: 24, refundPercent: 100 };
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const policyFor = (event) => ({ ...DEFAULT_POLICY, ...event.cancellationPolicy });
+
+const parsePolicy = (body) => {
+  const policy = {};
+  if (body.allowed !== undefined) policy.allowed = body.allowed === true || body.allowed === "true";
+  if (body.cutoffHours !== undefined) {
+    const cutoffHours = Number(body.cutoffHours);
+    if (!Number.isFinite(cutoffHours) || cutoffHours < 0) {
+      throw new OrderError(400, "cutoffHours must be a non-negative number.");
+    }
+    policy.cutoffHours = cutoffHours;
+  }
+  if (body.refundPercent !== undefined) {
+    const refundPercent = Number(body.refundPercent);
+    if (!Number.isFinite(refundPercent) || refundPercent < 0 || refundPercent > 100) {
+      throw new OrderError(400, "refundPercent must be between 0 and 100.");
+    }
+    policy.refundPercent = refundPercent;
+  }
+  return policy;
+};
+
+// Attendee cancels some or all seats of a paid order under the event's policy.
+// Only tickets the buyer still holds and hasn't used can be cancelled.
+const cancelBooking = async ({ order, userId, seatIds }) => {
+  if (order.userId.toString() !== userId.toString()) {
+    throw new OrderError(403, "Only the buyer can cancel this booking.");
+  }
+  if (order.status !== "paid") throw new OrderError(400, "Only paid bookings can be cancelled.");
+
+  const event = await mongoose.model("Event").findById(order.eventId, "eventDate time cancellationPolicy").lean();
+  if (!event) throw new OrderError(404, "Event not found");
+
+  const policy = policyFor(event);
+  if (!policy.allowed) throw new OrderError(400, "This event does not allow cancellations.");
+
+  const deadline = new Date(eventStartsAt(event).getTime() - policy.cutoffHours * 60 * 60 * 1000);
+  if (new Date() > deadline) {
+    throw new OrderError(400, `Cancellations for this event closed at ${deadline.toISOString()}.`);
+  }
+
+  const tickets = await mongoose
+    .model("Ticket")
+    .find({ orderId: order._id, attendeeId: userId, status: "valid" }, "seatId checkInStatus")
+    .lean();
+  const cancellable = tickets.filter((ticket) => !ticket.checkInStatus).map((ticket) => ticket.seatId);
+  const requested = seatIds || cancellable;
+
+  const blocked = requested.filter((seatId) => !cancellable.includes(seatId));
+  if (requested.length === 0 || blocked.length > 0) {
+    throw new OrderError(
+      400,
+      `These seats can't be cancelled (used, transferred or already cancelled): ${blocked.join(", ") || "none left"}`
+    );
+  }
+
+  const paid = order.items
+    .filter((item) => requested.includes(item.seatId))
+    .reduce((sum, item) => sum + item.price, 0);
+
+  return refundOrder({
+    order,
+    seatIds: requested,
+    amount: roundMoney((paid * policy.refundPercent) / 100),
+    reason: "cancelled by attendee",
+  });
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  policyFor,
+  parsePolicy,
+  cancelBooking,
+};
@@ -0,0 +1,273 @@
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const { verifyTicketToken } = require("./tickets");
+
+const gridPointSchema = new mongoose.Schema({ row: Number, col: Number }, { _id: false });
+
+// Every scan is logged, rejected ones included, so gates can be audited later
+const scanLogSchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  ticketId: { type: mongoose.Schema.Types.ObjectId, ref: "Ticket" },
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  entrance: { type: gridPointSchema, required: true },
+  direction: { type: String, enum: ["entry", "exit"], required: true },
+  accepted: { type: Boolean, required: true },
+  reason: { type: String },
+  reentry: { type: Boolean, default: false },
+  source: { type: String, enum: ["live", "offline"], default: "live" },
+  clientScanId: { type: String },
+  scannedAt: { type: Date, required: true },
+  recordedAt: { type: Date, default: Date.now },
+});
+scanLogSchema.index({ eventId: 1, accepted: 1, direction: 1 });
+scanLogSchema.index(
+  { staffId: 1, clientScanId: 1 },
+  { unique: true, partialFilterExpression: { clientScanId: { $type: "string" } } }
+);
+
+const ScanLog = mongoose.models.ScanLog || mongoose.model("ScanLog", scanLogSchema);
+
+// Emits "scan" with { eventId, direction } after every accepted scan
+const scanEvents = new EventEmitter();
+
+class CheckInError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// HTTP status a scanner gets back for each rejection reason
+const REJECTION_STATUS = {
+  invalid_token: 400,
+  token_reissued: 409,
+  ticket_not_found: 404,
+  ticket_void: 409,
+  wrong_event: 409,
+  already_inside: 409,
+  not_inside: 409,
+  stale_scan: 409,
+  already_scanned: 409,
+};
+
+const REJECTION_MESSAGES = {
+  invalid_token: "Ticket token is invalid",
+  token_reissued: "Ticket has been re-issued; this code is no longer valid",
+  ticket_not_found: "Ticket not found",
+  ticket_void: "Ticket has been refunded or cancelled",
+  wrong_event: "Ticket is for a different event",
+  already_inside: "Ticket has already been scanned in",
+  not_inside: "Ticket holder is not checked in",
+  stale_scan: "A newer scan for this ticket has already been recorded",
+  already_scanned: "Ticket was scanned somewhere else at the same moment",
+};
+
+// Another gate wrote the same ticket (write conflict), or the same upload was
+// replayed alongside this one (duplicate clientScanId)
+const isScanConflict = (err) => err?.code === 112 || err?.code === 11000;
+
+const samePoint = (a, b) => Number(a.row) === Number(b.row) && Number(a.col) === Number(b.col);
+
+// Entry scans happen at an entrance, exit scans at an entrance or an exit
+const loadGate = async (eventId, entrance, direction) => {
+  if (!entrance || entrance.row === undefined || entrance.col === undefined) {
+    throw new CheckInError(400, "entrance must be given as { row, col }.");
+  }
+
+  const event = await mongoose.model("Event").findById(eventId, "venueId").lean();
+  if (!event) throw new CheckInError(404, "Event not found");
+  const venue = await mongoose.model("Venue").findById(event.venueId, "entrances exits").lean();
+  if (!venue) throw new CheckInError(404, "Venue not found");
+
+  const points = direction === "exit" ? [...venue.entrances, ...venue.exits] : venue.entrances;
+  const gate = points.find((point) => samePoint(point, entrance));
+  if (!gate) throw new CheckInError(400, "Scan point is not one of the venue's entrances.");
+  return { row: gate.row, col: gate.col };
+};
+
+const applyScan = async ({ eventId, token, direction, scannedAt }) => {
+  const decoded = verifyTicketToken(token);
+  if (!decoded) return { accepted: false, reason: "invalid_token" };
+
+  const Ticket = mongoose.model("Ticket");
+  const ticket = await Ticket.findById(decoded.ticketId);
+  if (!ticket || ticket.seatId !== decoded.seatId) {
+    return { accepted: false, reason: "ticket_not_found" };
+  }
+  if (decoded.eventId !== eventId.toString() || ticket.eventId.toString() !== eventId.toString()) {
+    return { accepted: false, reason: "wrong_event", ticket };
+  }
+  if (ticket.status === "void") {
+    return { accepted: false, reason: "ticket_void", ticket };
+  }
+  if (decoded.version !== (ticket.tokenVersion || 0)) {
+    return { accepted: false, reason: "token_reissued", ticket };
+  }
+  if (ticket.lastScanAt && ticket.lastScanAt >= scannedAt) {
+    return { accepted: false, reason: "stale_scan", ticket };
+  }
+
+  // Conditional on the current state, so two gates scanning the same ticket can't both win
+  const fromStates = direction === "entry" ? [null, "outside"] : ["inside"];
+  const updated = await Ticket.findOneAndUpdate(
+    {
+      _id: ticket._id,
+      checkInStatus: { $in: fromStates },
+      $or: [{ lastScanAt: null }, { lastScanAt: { $lt: scannedAt } }],
+    },
+    {
+      $set: { checkInStatus: direction === "entry" ? "inside" : "outside", lastScanAt: scannedAt },
+      ...(direction === "entry" && { $min: { firstEntryAt: scannedAt } }),
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { accepted: false, reason: direction === "entry" ? "already_inside" : "not_inside", ticket };
+  }
+  return {
+    accepted: true,
+    reentry: direction === "entry" && ticket.checkInStatus === "outside",
+    ticket: updated,
+  };
+};
+
+const processScan = async ({
+  eventId,
+  staffId,
+  token,
+  entrance,
+  direction = "entry",
+  scannedAt = new Date(),
+  source = "live",
+  clientScanId,
+}) => {
+  if (!["entry", "exit"].includes(direction)) {
+    throw new CheckInError(400, "direction must be entry or exit.");
+  }
+  if (!token) throw new CheckInError(400, "token is required.");
+
+  const gate = await loadGate(eventId, entrance, direction);
+  const outcome = await applyScan({ eventId, token, direction, scannedAt });
+
+  await ScanLog.create({
+    eventId,
+    ticketId: outcome.ticket?._id,
+    staffId,
+    entrance: gate,
+    direction,
+    accepted: outcome.accepted,
+    reason: outcome.reason,
+    reentry: Boolean(outcome.reentry),
+    source,
+    clientScanId,
+    scannedAt,
+  });
+
+  if (outcome.accepted) scanEvents.emit("scan", { eventId: eventId.toString(), direction });
+
+  return {
+    accepted: outcome.accepted,
+    direction,
+    reentry: Boolean(outcome.reentry),
+    reason: outcome.reason,
+    message: outcome.accepted ? `${direction === "entry" ? "Entry" : "Exit"} recorded` : REJECTION_MESSAGES[outcome.reason],
+    ticket: outcome.ticket && { id: outcome.ticket._id, seatId: outcome.ticket.seatId, section: outcome.ticket.section },
+  };
+};
+
+// Uploads from scanners that were offline. Scans are replayed oldest first and
+// are idempotent on clientScanId, so a scanner can safely retry an upload.
+const processBatch = async ({ eventId, staffId, scans, entrance }) => {
+  if (!Array.isArray(scans) || scans.length === 0) {
+    throw new CheckInError(400, "scans must be a non-empty array.");
+  }
+
+  const ordered = scans
+    .map((scan, index) => ({
+      ...scan,
+      index,
+      clientScanId: scan.clientScanId && String(scan.clientScanId),
+      scannedAt: new Date(scan.scannedAt),
+    }))
+    .sort((a, b) => a.scannedAt - b.scannedAt);
+
+  const results = [];
+  for (const scan of ordered) {
+    const base = { index: scan.index, clientScanId: scan.clientScanId };
+    try {
+      if (!scan.clientScanId) throw new CheckInError(400, "clientScanId is required for offline scans.");
+      if (isNaN(scan.scannedAt)) throw new CheckInError(400, "scannedAt must be a valid date.");
+
+      const previous = await ScanLog.findOne({ staffId, clientScanId: scan.clientScanId }).lean();
+      if (previous) {
+        results.push({ ...base, accepted: previous.accepted, reason: previous.reason, duplicateUpload: true });
+        continue;
+      }
+
+      const result = await processScan({
+        eventId,
+        staffId,
+        token: scan.token,
+        entrance: scan.entrance || entrance,
+        direction: scan.direction,
+        scannedAt: scan.scannedAt,
+        source: "offline",
+        clientScanId: scan.clientScanId,
+      });
+      results.push({ ...base, ...result });
+    } catch (err) {
+      if (isScanConflict(err)) {
+        results.push({ ...base, accepted: false, reason: "already_scanned", message: REJECTION_MESSAGES.already_scanned });
+        continue;
+      }
+      if (!(err instanceof CheckInError)) throw err;
+      results.push({ ...base, accepted: false, reason: "invalid_scan", message: err.message });
+    }
+  }
+
+  return results.sort((a, b) => a.index - b.index);
+};
+
+const checkInSummary = async (eventId) => {
+  const id = new mongoose.Types.ObjectId(eventId);
+  const Ticket = mongoose.model("Ticket");
+
+  const [ticketsIssued, checkedIn, currentlyInside, byEntrance] = await Promise.all([
+    // Refunded tickets aren't expected at the gates, unless they were used before the refund
+    Ticket.countDocuments({ eventId: id, $or: [{ status: "valid" }, { firstEntryAt: { $ne: null } }] }),
+    Ticket.countDocuments({ eventId: id, firstEntryAt: { $ne: null } }),
+    Ticket.countDocuments({ eventId: id, checkInStatus: "inside" }),
+    ScanLog.aggregate([
+      { $match: { eventId: id, accepted: true } },
+      {
+        $group: {
+          _id: { row: "$entrance.row", col: "$entrance.col" },
+          firstEntries: { $sum: { $cond: [{ $and: [{ $eq: ["$direction", "entry"] }, { $not: "$reentry" }] }, 1, 0] } },
+          reentries: { $sum: { $cond: ["$reentry", 1, 0] } },
+          exits: { $sum: { $cond: [{ $eq: ["$direction", "exit"] }, 1, 0] } },
+          lastScanAt: { $max: "$scannedAt" },
+        },
+      },
+      { $sort: { "_id.row": 1, "_id.col": 1 } },
+    ]),
+  ]);
+
+  return {
+    eventId,
+    ticketsIssued,
+    checkedIn,
+    currentlyInside,
+    entrances: byEntrance.map(({ _id, ...counts }) => ({ row: _id.row, col: _id.col, ...counts })),
+  };
+};
+
+module.exports = {
+  ScanLog,
+  scanEvents,
+  CheckInError,
+  REJECTION_STATUS,
+  processScan,
+  processBatch,
+  checkInSummary,
+};
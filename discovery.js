@@ -0,0 +1,224 @@
+const mongoose = require("mongoose");
+const { sectionOf } = require("./tickets");
+const { isUnavailable } = require("./seatHolds");
+const { listPrice } = require("./pricing");
+const { LISTED_STATUSES, SALES_FIELDS, salesClosedReason } = require("./eventSchedule");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Sort keys accepted by ?sort=, each paired with _id so cursors are stable.
+// "relevance" is only available with ?q= and pages by offset.
+const SORTS = {
+  date: { field: "eventDate", direction: 1 },
+  "-date": { field: "eventDate", direction: -1 },
+  price: { field: "priceFrom", direction: 1 },
+  "-price": { field: "priceFrom", direction: -1 },
+  name: { field: "eventName", direction: 1 },
+  "-name": { field: "eventName", direction: -1 },
+};
+
+// Enough of the layout to count free seats, without attendees or hold ids
+const LIST_PROJECTION = [
+  "eventName",
+  "description",
+  "category",
+  "eventDate",
+  "time",
+  "duration",
+  "promotionalImage",
+  "bannerImage",
+  "venueId",
+  "organizerId",
+  "parentEventId",
+  "ticketPrice",
+  "sectionPrices",
+  "ticketTypes",
+  "priceTiers",
+  "priceFrom",
+  "priceTo",
+  ...SALES_FIELDS.split(" "),
+  "seatingLayout.id",
+  "seatingLayout.occupied",
+  "seatingLayout.heldBy",
+  "seatingLayout.holdExpiresAt",
+  "seatingLayout.attributes",
+].join(" ");
+
+class DiscoveryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), "base64url").toString("utf8"));
+    if (cursor && typeof cursor === "object") return cursor;
+  } catch (err) {
+    // fall through
+  }
+  throw new DiscoveryError(400, "Invalid cursor.");
+};
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new DiscoveryError(400, `${field} must be a date.`);
+  return date;
+};
+
+const parsePrice = (value, field) => {
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) throw new DiscoveryError(400, `${field} must be a non-negative number.`);
+  return price;
+};
+
+// Builds the Mongo filter for ?q, ?category, ?from, ?to, ?venueId, ?minPrice
+// and ?maxPrice. Price filters match events with any seat in the range. Only
+// listed events are ever returned.
+const buildFilter = (query) => {
+  const filter = { status: { $in: LISTED_STATUSES } };
+  if (query.q) filter.$text = { $search: String(query.q) };
+
+  if (query.category) {
+    const categories = String(query.category).split(",").map((category) => category.trim()).filter(Boolean);
+    filter.category = categories.length === 1 ? categories[0] : { $in: categories };
+  }
+
+  if (query.from || query.to) {
+    filter.eventDate = {};
+    if (query.from) filter.eventDate.$gte = parseDate(query.from, "from");
+    if (query.to) filter.eventDate.$lte = parseDate(query.to, "to");
+  }
+
+  if (query.venueId) {
+    if (!mongoose.Types.ObjectId.isValid(query.venueId)) throw new DiscoveryError(400, "Invalid Venue ID format.");
+    filter.venueId = new mongoose.Types.ObjectId(String(query.venueId));
+  }
+
+  if (query.minPrice !== undefined && query.minPrice !== "") {
+    filter.priceTo = { $gte: parsePrice(query.minPrice, "minPrice") };
+  }
+  if (query.maxPrice !== undefined && query.maxPrice !== "") {
+    filter.priceFrom = { $lte: parsePrice(query.maxPrice, "maxPrice") };
+  }
+  return filter;
+};
+
+// Free seats per section, today's price and whether tickets are on sale, in
+// place of the raw layout
+const summarizeEvent = (event, now = new Date()) => {
+  const sections = new Map();
+  (event.seatingLayout || []).forEach((seat) => {
+    const sectionName = sectionOf(seat.id);
+    const section = sections.get(sectionName) || { sectionName, available: 0, total: 0 };
+    section.total += 1;
+    if (!isUnavailable(seat, now)) section.available += 1;
+    sections.set(sectionName, section);
+  });
+
+  const { seatingLayout, ticketTypes, priceTiers, sectionPrices, ...fields } = event;
+  const venue = event.venueId && typeof event.venueId === "object" && event.venueId.venueName ? event.venueId : null;
+  const sectionSummaries = [...sections.values()].map((section) => ({
+    ...section,
+    price: listPrice(event, section.sectionName, now),
+  }));
+
+  return {
+    ...fields,
+    venueId: venue ? venue._id : event.venueId,
+    venue,
+    salesOpen: !salesClosedReason(event, now),
+    seatsAvailable: sectionSummaries.reduce((sum, section) => sum + section.available, 0),
+    totalSeats: sectionSummaries.reduce((sum, section) => sum + section.total, 0),
+    sections: sectionSummaries,
+  };
+};
+
+const listQuery = (filter) =>
+  mongoose.model("Event").find(filter, LIST_PROJECTION).populate("venueId", "venueName image seatingType").lean();
+
+// Lightweight list of every matching event, for callers that don't page
+const listEventSummaries = async (filter = {}) => {
+  const events = await listQuery(filter).sort({ eventDate: 1, _id: 1 });
+  const now = new Date();
+  return events.map((event) => summarizeEvent(event, now));
+};
+
+const discoverEvents = async (query) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new DiscoveryError(400, `limit must be a whole number between 1 and ${MAX_LIMIT}.`);
+  }
+
+  const filter = buildFilter(query);
+  const sortKey = query.sort || (query.q ? "relevance" : "date");
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  let events;
+
+  if (sortKey === "relevance") {
+    if (!query.q) throw new DiscoveryError(400, "sort=relevance needs a search query (q).");
+    const offset = Number.isInteger(cursor?.offset) && cursor.offset > 0 ? cursor.offset : 0;
+    events = await listQuery(filter)
+      .select({ score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, _id: 1 })
+      .skip(offset)
+      .limit(limit + 1);
+    const hasMore = events.length > limit;
+    events = events.slice(0, limit);
+    return {
+      events: events.map((event) => summarizeEvent(event)),
+      nextCursor: hasMore ? encodeCursor({ offset: offset + limit }) : null,
+    };
+  }
+
+  const sort = SORTS[sortKey];
+  if (!sort) throw new DiscoveryError(400, `sort must be one of: relevance, ${Object.keys(SORTS).join(", ")}`);
+  const { field, direction } = sort;
+
+  // Keyset paging: everything strictly after the last (field, _id) pair seen
+  if (cursor) {
+    if (cursor.sort !== sortKey || !mongoose.Types.ObjectId.isValid(cursor.id)) {
+      throw new DiscoveryError(400, "Invalid cursor.");
+    }
+    const op = direction === 1 ? "$gt" : "$lt";
+    const value = cursor.value !== null && field === "eventDate" ? new Date(cursor.value) : cursor.value;
+    const id = new mongoose.Types.ObjectId(String(cursor.id));
+    // Missing values sort first ascending and last descending
+    const after =
+      value === null
+        ? { $or: [...(direction === 1 ? [{ [field]: { $ne: null } }] : []), { [field]: null, _id: { [op]: id } }] }
+        : {
+            $or: [
+              { [field]: { [op]: value } },
+              { [field]: value, _id: { [op]: id } },
+              ...(direction === -1 ? [{ [field]: null }] : []),
+            ],
+          };
+    filter.$and = [after];
+  }
+
+  events = await listQuery(filter)
+    .sort({ [field]: direction, _id: direction })
+    .limit(limit + 1);
+  const hasMore = events.length > limit;
+  events = events.slice(0, limit);
+
+  const last = events[events.length - 1];
+  return {
+    events: events.map((event) => summarizeEvent(event)),
+    nextCursor: hasMore ? encodeCursor({ sort: sortKey, value: last[field] ?? null, id: last._id }) : null,
+  };
+};
+
+module.exports = {
+  SORTS,
+  MAX_LIMIT,
+  DiscoveryError,
+  summarizeEvent,
+  listEventSummaries,
+  discoverEvents,
+};
@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+const multer = require("multer");
+const { MAX_IMAGE_BYTES } = require("./images");
+
+// Every error response has the same shape:
+//   { message, code, details?, requestId }
+// `code` is machine-readable and defaults from the status; `details` lists
+// per-field problems as { field, message }. Responses may carry extra keys
+// (a rejected scan keeps its `reason`), but never internal error text.
+const STATUS_CODES = {
+  400: "INVALID_REQUEST",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  410: "GONE",
+  413: "PAYLOAD_TOO_LARGE",
+  422: "UNPROCESSABLE",
+  423: "LOCKED",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+  502: "UPSTREAM_ERROR",
+  503: "UNAVAILABLE",
+};
+
+const codeFor = (status) => STATUS_CODES[status] || (status >= 500 ? "INTERNAL_ERROR" : "INVALID_REQUEST");
+
+// Errors thrown by our own modules carry the status to answer with; anything
+// else is a bug or an outage and is answered with a bare 500
+const isClientError = (err) => Number.isInteger(err?.status) && err.status >= 400 && err.status < 500;
+
+// Modules also answer 503 when something they need isn't configured, e.g. payments
+const isUnavailable = (err) => err?.status === 503;
+
+const logError = (req, err) =>
+  console.error(`[${req.id}] ${req.method} ${req.originalUrl}:`, err?.stack || err?.message || err);
+
+// Accepts a client-supplied X-Request-Id so calls can be traced across services
+const requestId = (req, res, next) => {
+  const given = req.get("X-Request-Id");
+  req.id = given && /^[\w.-]{1,100}$/.test(given) ? given : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+const envelope = (req, status, body) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return body;
+  const { message, code, details, error, ...rest } = body;
+  // Handlers hand the original error over as `error`; it is logged, never sent
+  if (status >= 500) logError(req, error ?? message);
+  return {
+    ...rest,
+    message: message || (status >= 500 ? "Server error" : "Request failed"),
+    code: typeof code === "string" ? code : codeFor(status),
+    ...(details && { details }),
+    requestId: req.id,
+  };
+};
+
+// Mount before the routes: puts every JSON error response, however it was
+// produced, into the envelope
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 ? envelope(req, res.statusCode, body) : body);
+  next();
+};
+
+// For route catch blocks: our own errors go back as they are, anything else
+// is logged against the request id and answered with a 500
+const sendError = (res, err) => {
+  if (isClientError(err) || isUnavailable(err)) {
+    return res.status(err.status).json({
+      message: err.message,
+      code: typeof err.code === "string" ? err.code : undefined,
+      details: err.details,
+    });
+  }
+  res.status(500).json({ message: "Server error", error: err });
+};
+
+// Unmatched routes
+const notFound = (req, res) =>
+  res.status(404).json({ message: `No route for ${req.method} ${req.path}`, code: "ROUTE_NOT_FOUND" });
+
+// Last middleware: errors passed to next() or thrown by body parsing and uploads
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  if (err instanceof multer.MulterError) {
+    // Upload limits are the client's mistake, not ours
+    const message =
+      err.code === "LIMIT_FILE_SIZE" ? `Files must be smaller than ${MAX_IMAGE_BYTES / (1024 * 1024)} MB.` : err.message;
+    return res.status(400).json({ message, code: "UPLOAD_REJECTED", details: err.field && [{ field: err.field, message }] });
+  }
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ message: "Request body is not valid JSON.", code: "INVALID_JSON" });
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ message: "Request body is too large." });
+  }
+  if (err.name === "CastError") {
+    return res.status(400).json({
+      message: `Invalid ${err.path}.`,
+      code: "VALIDATION_FAILED",
+      details: [{ field: err.path, message: `must be a valid ${err.kind}` }],
+    });
+  }
+  sendError(res, err);
+};
+
+module.exports = {
+  STATUS_CODES,
+  isClientError,
+  logError,
+  requestId,
+  errorEnvelope,
+  sendError,
+  notFound,
+  errorHandler,
+};
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { OrderError } = require("./orders");
+const { removeImage } = require("./images");
+const { incidentPhotoFiles } = require("./incidents");
+
+// Models whose documents belong to a single event through their eventId
+const DEPENDENT_MODELS = [
+  "Ticket",
+  "SeatHold",
+  "Order",
+  "Quote",
+  "DiscountCode",
+  "DiscountRedemption",
+  "ScanLog",
+  "TicketTransfer",
+  "WaitlistEntry",
+  "EventNotice",
+  "StaffAssignment",
+  "Incident",
+];
+
+// Deletes an event and everything that hangs off it, along with its sessions
+// when it is the parent of a series. Events with paid bookings are refused,
+// since attendees would lose money they are owed, and so are events with
+// payments still in flight, whose webhooks would find no order to settle.
+const deleteEvent = async (eventId) => {
+  const Event = mongoose.model("Event");
+  const sessionIds = (await Event.find({ parentEventId: eventId }, "_id").lean()).map((session) => session._id);
+  const eventIds = [eventId, ...sessionIds];
+
+  if (await mongoose.model("Order").exists({ eventId: { $in: eventIds }, status: { $in: ["fulfilling", "paid"] } })) {
+    throw new OrderError(409, "This event still has paid bookings. Refund them before deleting it.");
+  }
+  if (await mongoose.model("Order").exists({ eventId: { $in: eventIds }, status: "pending" })) {
+    throw new OrderError(409, "This event has bookings awaiting payment. Try again once they have settled.");
+  }
+
+  const deleted = await Event.findByIdAndDelete(eventId);
+  if (!deleted) return null;
+  await Event.deleteMany({ _id: { $in: sessionIds } });
+
+  const photos = await incidentPhotoFiles(eventIds);
+  const registered = mongoose.modelNames();
+  await Promise.all(
+    DEPENDENT_MODELS.filter((name) => registered.includes(name)).map((name) =>
+      mongoose.model(name).deleteMany({ eventId: { $in: eventIds } })
+    )
+  );
+  await Promise.all(photos.map(removeImage));
+  // Sessions share their parent's images
+  if (!deleted.parentEventId) {
+    await removeImage(deleted.imageFiles?.promotional);
+    await removeImage(deleted.imageFiles?.banner);
+  }
+  return deleted;
+};
+
+module.exports = {
+  DEPENDENT_MODELS,
+  deleteEvent,
+};
@@ -0,0 +1,278 @@
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const { SeatHold, SeatHoldError, releaseHold } = require("./seatHolds");
+const { Order, cancelOrder, refundOrder } = require("./orders");
+const { eventStartsAt, eventEndsAt, salesEndsAt } = require("./eventSchedule");
+
+// Emits the new status ("published", "salesClosed" or "completed") with the
+// event on every move, "cancelled" with { event, attendeeIds, summary } once
+// a cancelled event's bookings have been settled, and "rescheduled" when an
+// event's date changes.
+const lifecycleEvents = new EventEmitter();
+
+class LifecycleError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Statuses an event can still be cancelled from
+const CANCELLABLE = ["draft", "published", "salesClosed"];
+
+const parseDateField = (value, field) => {
+  if (value === null || value === "") return null; // clears the field
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new LifecycleError(400, `${field} must be a date.`);
+  return date;
+};
+
+// Reads publishAt, salesStartAt and salesEndAt. Only fields present in the body
+// are returned; `current` supplies the others when checking the window.
+const parseSchedule = (body, current = {}) => {
+  const schedule = {};
+  ["publishAt", "salesStartAt", "salesEndAt"].forEach((field) => {
+    if (body[field] !== undefined) schedule[field] = parseDateField(body[field], field);
+  });
+
+  if (schedule.publishAt !== undefined && current.status && current.status !== "draft") {
+    throw new LifecycleError(400, "publishAt can only be set while the event is a draft.");
+  }
+  const salesStartAt = schedule.salesStartAt !== undefined ? schedule.salesStartAt : current.salesStartAt;
+  const salesEndAt = schedule.salesEndAt !== undefined ? schedule.salesEndAt : current.salesEndAt;
+  if (salesStartAt && salesEndAt && salesStartAt >= salesEndAt) {
+    throw new LifecycleError(400, "salesStartAt must be before salesEndAt.");
+  }
+  return schedule;
+};
+
+// Moves an event between statuses only if nobody else got there first
+const transition = (eventId, from, to, update = {}, note) =>
+  mongoose.model("Event").findOneAndUpdate(
+    { _id: eventId, status: { $in: from } },
+    { ...update, status: to, $push: { statusHistory: { status: to, note, at: new Date() } } },
+    { new: true }
+  );
+
+const moved = (event, status) => {
+  if (!event) throw new LifecycleError(409, "The event changed status in the meantime. Reload it and try again.");
+  lifecycleEvents.emit(status, event);
+  return event;
+};
+
+// Publishes a draft now, or at `publishAt` when that is in the future
+const publishEvent = async ({ event, publishAt, note = "published by organizer" }) => {
+  if (event.status !== "draft") throw new LifecycleError(409, "Only draft events can be published.");
+  const now = new Date();
+  if (eventStartsAt(event) <= now) throw new LifecycleError(400, "This event has already started.");
+
+  const at = publishAt !== undefined ? parseDateField(publishAt, "publishAt") : null;
+  if (at && at > now) {
+    const scheduled = await mongoose
+      .model("Event")
+      .findOneAndUpdate({ _id: event._id, status: "draft" }, { publishAt: at }, { new: true });
+    if (!scheduled) throw new LifecycleError(409, "Only draft events can be published.");
+    return scheduled;
+  }
+
+  return moved(await transition(event._id, ["draft"], "published", { publishedAt: now }, note), "published");
+};
+
+const closeSales = async ({ event }) => {
+  if (event.status !== "published") throw new LifecycleError(409, "Sales can only be closed for published events.");
+  return moved(await transition(event._id, ["published"], "salesClosed", {}, "closed by organizer"), "salesClosed");
+};
+
+// Reopening needs the sales window to still be running, so a new salesEndAt
+// may be passed along
+const reopenSales = async ({ event, salesEndAt }) => {
+  if (event.status !== "salesClosed") throw new LifecycleError(409, "Only events with closed sales can be reopened.");
+  const update = salesEndAt !== undefined ? parseSchedule({ salesEndAt }, event) : {};
+  if (salesEndsAt({ ...event.toObject(), ...update }) <= new Date()) {
+    throw new LifecycleError(400, "The sales window has ended. Pass a later salesEndAt to reopen sales.");
+  }
+  return moved(await transition(event._id, ["salesClosed"], "published", update, "reopened by organizer"), "published");
+};
+
+const completeEvent = async ({ event }) => {
+  if (!["published", "salesClosed"].includes(event.status)) {
+    throw new LifecycleError(409, "Only published events can be completed.");
+  }
+  if (eventStartsAt(event) > new Date()) throw new LifecycleError(400, "This event hasn't started yet.");
+  const completed = await transition(
+    event._id,
+    ["published", "salesClosed"],
+    "completed",
+    { completedAt: new Date() },
+    "completed by organizer"
+  );
+  return moved(completed, "completed");
+};
+
+// Moves an upcoming event or session to a new date, time or duration. Tickets
+// stay valid; "rescheduled" is emitted with { event, previousStartsAt } so their
+// holders can be told.
+const rescheduleEvent = async ({ event, eventDate, time, duration }) => {
+  if (!CANCELLABLE.includes(event.status)) {
+    throw new LifecycleError(409, `This event is ${event.status} and can no longer be rescheduled.`);
+  }
+  const previousStartsAt = eventStartsAt(event);
+
+  if (eventDate !== undefined) {
+    const date = parseDateField(eventDate, "eventDate");
+    if (!date) throw new LifecycleError(400, "eventDate must be a date.");
+    event.eventDate = date;
+  }
+  if (time !== undefined) event.time = String(time);
+  if (duration !== undefined) event.duration = String(duration);
+
+  const startsAt = eventStartsAt(event);
+  if (Number.isNaN(startsAt.getTime()) || startsAt <= new Date()) {
+    throw new LifecycleError(400, "The new start must be in the future.");
+  }
+  if (startsAt.getTime() === previousStartsAt.getTime() && !event.isModified("duration")) return event;
+
+  event.statusHistory.push({ status: event.status, note: `rescheduled from ${previousStartsAt.toISOString()}` });
+  await event.save();
+  if (event.status !== "draft") lifecycleEvents.emit("rescheduled", { event, previousStartsAt }); // drafts have no tickets
+  return event;
+};
+
+// Refunds and voids everything sold for a cancelled event. Safe to run again:
+// refunds that failed the first time are retried.
+const settleCancellation = async (eventId, reason) => {
+  const note = reason ? `event cancelled: ${reason}` : "event cancelled";
+  const now = new Date();
+  const summary = { cancelledOrders: 0, refundedOrders: 0, refundedAmount: 0, voidedTickets: 0, failedRefunds: [] };
+  const attendeeIds = new Set();
+
+  // Waitlist first, so the seats released below aren't offered on
+  await mongoose
+    .model("WaitlistEntry")
+    .updateMany({ eventId, status: { $in: ["waiting", "offered"] } }, { status: "cancelled", settledAt: now });
+
+  for (const order of await Order.find({ eventId, status: "pending" })) {
+    await cancelOrder(order, note);
+    attendeeIds.add(order.userId.toString());
+    summary.cancelledOrders += 1;
+  }
+
+  for (const hold of await SeatHold.find({ eventId, status: "active" })) {
+    await releaseHold({ holdId: hold._id, userId: hold.userId }).catch((err) => {
+      if (!(err instanceof SeatHoldError)) throw err; // settled in the meantime
+    });
+  }
+
+  // Tickets may have been transferred, so holders are collected from the tickets themselves
+  const Ticket = mongoose.model("Ticket");
+  const tickets = await Ticket.find({ eventId, status: "valid" }, "attendeeId").lean();
+  tickets.forEach((ticket) => attendeeIds.add(ticket.attendeeId.toString()));
+
+  for (const order of await Order.find({ eventId, status: "paid" })) {
+    try {
+      const remaining = order.items.filter((item) => item.status === "active");
+      const amount = remaining.reduce((sum, item) => sum + item.price, 0);
+      await refundOrder({ order, reason: note });
+      summary.refundedOrders += 1;
+      summary.refundedAmount = Math.round((summary.refundedAmount + amount) * 100) / 100;
+    } catch (err) {
+      console.error("Event Cancellation Refund Error:", err.message);
+      summary.failedRefunds.push({ orderId: order._id, message: err.message });
+    }
+  }
+
+  // Anything left, including tickets whose refund failed, can no longer be used
+  await Ticket.updateMany({ eventId, status: "valid" }, { status: "void" });
+  summary.voidedTickets = tickets.length;
+
+  await mongoose
+    .model("TicketTransfer")
+    .updateMany({ eventId, status: "pending" }, { status: "cancelled", note, respondedAt: now });
+
+  return { attendeeIds: [...attendeeIds], summary };
+};
+
+// Cancels the event and settles its bookings. Cancelling an event that is
+// already cancelled settles again, which retries failed refunds.
+const cancelEvent = async ({ event, reason }) => {
+  if (event.status === "completed") throw new LifecycleError(409, "Completed events can't be cancelled.");
+  reason = reason ? String(reason).trim() : undefined;
+
+  let cancelled = event;
+  if (event.status !== "cancelled") {
+    cancelled = await transition(
+      event._id,
+      CANCELLABLE,
+      "cancelled",
+      { cancelledAt: new Date(), cancellationReason: reason },
+      reason || "cancelled by organizer"
+    );
+    if (!cancelled) throw new LifecycleError(409, "The event changed status in the meantime. Reload it and try again.");
+  }
+
+  const { attendeeIds, summary } = await settleCancellation(cancelled._id, cancelled.cancellationReason);
+  lifecycleEvents.emit("cancelled", { event: cancelled, attendeeIds, summary });
+  return { event: cancelled, summary };
+};
+
+// Events saved before statuses existed were all live
+const backfillEventStatuses = () =>
+  mongoose.model("Event").updateMany({ status: { $exists: false } }, { $set: { status: "published" } });
+
+// Publishes scheduled drafts, completes events that are over and closes sales
+// whose window has ended
+const advanceLifecycles = async (now = new Date()) => {
+  const Event = mongoose.model("Event");
+  const changed = [];
+  const advance = async (event, from, to, update, note) => {
+    const updated = await transition(event._id, from, to, update, note);
+    if (updated) {
+      lifecycleEvents.emit(to, updated);
+      changed.push(updated);
+    }
+  };
+
+  for (const event of await Event.find({ status: "draft", publishAt: { $lte: now } }, "_id").lean()) {
+    await advance(event, ["draft"], "published", { publishedAt: now }, "scheduled publish");
+  }
+
+  const started = await Event.find(
+    { status: { $in: ["published", "salesClosed"] }, eventDate: { $lte: now } },
+    "status eventDate time duration"
+  ).lean();
+  for (const event of started.filter((event) => eventEndsAt(event) <= now)) {
+    await advance(event, ["published", "salesClosed"], "completed", { completedAt: now }, "event finished");
+  }
+
+  const ending = await Event.find(
+    { status: "published", $or: [{ salesEndAt: { $lte: now } }, { eventDate: { $lte: now } }] },
+    "eventDate time salesEndAt"
+  ).lean();
+  for (const event of ending.filter((event) => salesEndsAt(event) <= now)) {
+    await advance(event, ["published"], "salesClosed", {}, "sales window ended");
+  }
+  return changed;
+};
+
+const startLifecycleSweeper = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    advanceLifecycles().catch((err) => console.error("Event lifecycle sweep failed:", err.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  lifecycleEvents,
+  LifecycleError,
+  parseSchedule,
+  publishEvent,
+  closeSales,
+  reopenSales,
+  completeEvent,
+  rescheduleEvent,
+  cancelEvent,
+  backfillEventStatuses,
+  advanceLifecycles,
+  startLifecycleSweeper,
+};
@@ -0,0 +1,75 @@
+// draft -> published -> salesClosed -> completed, or cancelled from anything
+// before completed. See eventLifecycle.js for the moves between them.
+const EVENT_STATUSES = ["draft", "published", "salesClosed", "completed", "cancelled"];
+
+// Shown in public listings. Events whose sales have closed stay listed until they are over.
+const LISTED_STATUSES = ["published", "salesClosed"];
+
+// Event fields salesClosedReason needs, for projections
+const SALES_FIELDS = "status eventDate time salesStartAt salesEndAt";
+
+const MS_PER_UNIT = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// eventDate holds the day; `time` ("HH:MM") narrows it down when present
+const eventStartsAt = (event) => {
+  const start = new Date(event.eventDate);
+  const match = /^(\d{1,2}):(\d{2})/.exec(event.time || "");
+  if (match) start.setHours(Number(match[1]), Number(match[2]), 0, 0);
+  return start;
+};
+
+// Reads free-text durations such as "2 hours", "1h 30m", "90 minutes" or "1:30".
+// A bare number is taken as hours. Returns null when nothing can be read.
+const durationMs = (duration) => {
+  const text = String(duration || "").trim().toLowerCase();
+  const clock = /^(\d+):(\d{2})$/.exec(text);
+  if (clock) return Number(clock[1]) * MS_PER_UNIT.h + Number(clock[2]) * MS_PER_UNIT.m;
+
+  let total = null;
+  for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]*)/g)) {
+    const ms = MS_PER_UNIT[unit ? unit[0] : "h"];
+    if (ms) total = (total || 0) + Number(amount) * ms;
+  }
+  return total;
+};
+
+// Start plus duration, or the end of the day it starts when the duration can't be read
+const eventEndsAt = (event) => {
+  const start = eventStartsAt(event);
+  const duration = durationMs(event.duration);
+  if (duration !== null) return new Date(start.getTime() + duration);
+  const end = new Date(start);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+// Sales run until salesEndAt, or until the event starts when it isn't set
+const salesEndsAt = (event) => (event.salesEndAt ? new Date(event.salesEndAt) : eventStartsAt(event));
+
+const STATUS_REASONS = {
+  draft: "This event has not been published yet.",
+  salesClosed: "Ticket sales for this event are closed.",
+  completed: "This event has already taken place.",
+  cancelled: "This event has been cancelled.",
+};
+
+// Why tickets can't be bought right now, or null while sales are open
+const salesClosedReason = (event, now = new Date()) => {
+  if (event.status !== "published") return STATUS_REASONS[event.status] || STATUS_REASONS.draft;
+  if (event.salesStartAt && new Date(event.salesStartAt) > now) {
+    return `Ticket sales for this event open at ${new Date(event.salesStartAt).toISOString()}.`;
+  }
+  if (salesEndsAt(event) <= now) return STATUS_REASONS.salesClosed;
+  return null;
+};
+
+module.exports = {
+  EVENT_STATUSES,
+  LISTED_STATUSES,
+  SALES_FIELDS,
+  eventStartsAt,
+  durationMs,
+  eventEndsAt,
+  salesEndsAt,
+  salesClosedReason,
+};
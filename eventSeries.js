@@ -0,0 +1,223 @@
+const mongoose = require("mongoose");
+const { layoutFromSeatMap } = require("./seatMaps");
+const { eventStartsAt } = require("./eventSchedule");
+const { publishEvent, cancelEvent } = require("./eventLifecycle");
+
+// A series is a parent event plus sessions: Event documents pointing back to
+// it through parentEventId. Each session has its own date and seats, so
+// holds, orders, tickets and the lifecycle all work per session. The fields
+// below belong to the parent and are copied onto every session.
+const SHARED_FIELDS = [
+  "eventName",
+  "description",
+  "category",
+  "promotionalImage",
+  "bannerImage",
+  "imageFiles",
+  "venueId",
+  "organizerId",
+  "ticketPrice",
+  "sectionPrices",
+  "ticketTypes",
+  "priceTiers",
+  "priceFrom",
+  "priceTo",
+  "cancellationPolicy",
+];
+
+// Copied when a session is created, then managed per session
+const INITIAL_FIELDS = ["crowdThresholds", "salesStartAt"];
+
+const MAX_SESSIONS = 100; // per series, counting the parent
+const MAX_INTERVAL = 52;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class SeriesError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Multipart forms send nested values as JSON strings
+const parseJsonField = (value, field) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new SeriesError(400, `${field} must be valid JSON.`);
+  }
+};
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === "" || Number.isNaN(date.getTime())) {
+    throw new SeriesError(400, `${field} must be a date.`);
+  }
+  return date;
+};
+
+// { frequency: "daily" | "weekly", interval = 1, until }. Repeats the parent's
+// date and time every `interval` days or weeks, up to and including `until`.
+const parseRecurrence = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const recurrence = parseJsonField(value, "recurrence");
+  if (!recurrence || typeof recurrence !== "object") throw new SeriesError(400, "recurrence must be an object.");
+
+  if (!["daily", "weekly"].includes(recurrence.frequency)) {
+    throw new SeriesError(400, "recurrence.frequency must be daily or weekly.");
+  }
+  const interval = recurrence.interval === undefined ? 1 : Number(recurrence.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw new SeriesError(400, `recurrence.interval must be a whole number between 1 and ${MAX_INTERVAL}.`);
+  }
+  return { frequency: recurrence.frequency, interval, until: parseDate(recurrence.until, "recurrence.until") };
+};
+
+// One-off extra dates: either date strings or { eventDate, time, duration }
+// objects. time and duration default to the parent's.
+const parseSessionDates = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const dates = parseJsonField(value, "sessions");
+  if (!Array.isArray(dates)) throw new SeriesError(400, "sessions must be an array.");
+
+  return dates.map((item, i) => {
+    const session = item && typeof item === "object" ? item : { eventDate: item };
+    return {
+      eventDate: parseDate(session.eventDate, `sessions[${i}].eventDate`),
+      time: session.time === undefined ? undefined : String(session.time),
+      duration: session.duration === undefined ? undefined : String(session.duration),
+    };
+  });
+};
+
+// Dates and times for new sessions. Anything starting at the same moment as
+// an existing member of the series is skipped, so recurrences can be re-sent.
+const planSessions = (parent, { recurrence, dates = [] }, existing = [], now = new Date()) => {
+  const taken = new Set([parent, ...existing].map((event) => eventStartsAt(event).getTime()));
+  const planned = [];
+  const add = (session) => {
+    const start = eventStartsAt(session).getTime();
+    if (taken.has(start)) return;
+    taken.add(start);
+    planned.push(session);
+    if (1 + existing.length + planned.length > MAX_SESSIONS) {
+      throw new SeriesError(400, `A series can have at most ${MAX_SESSIONS} sessions.`);
+    }
+  };
+
+  if (recurrence) {
+    const step = (recurrence.frequency === "weekly" ? 7 : 1) * recurrence.interval * MS_PER_DAY;
+    const first = new Date(parent.eventDate).getTime();
+    for (let at = first + step; at <= recurrence.until.getTime(); at += step) {
+      const session = { eventDate: new Date(at), time: parent.time, duration: parent.duration };
+      if (eventStartsAt(session) > now) add(session);
+    }
+  }
+
+  dates.forEach((date) => {
+    const session = { eventDate: date.eventDate, time: date.time ?? parent.time, duration: date.duration ?? parent.duration };
+    if (eventStartsAt(session) <= now) {
+      throw new SeriesError(400, `Session on ${date.eventDate.toISOString()} would start in the past.`);
+    }
+    add(session);
+  });
+  return planned;
+};
+
+const pick = (doc, fields) => {
+  const source = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+};
+
+// Sessions start in the parent's state: published straight away when the
+// parent is on sale, otherwise as drafts published with it
+const sessionStatus = (parent, now) =>
+  ["published", "salesClosed"].includes(parent.status)
+    ? { status: "published", publishedAt: now, statusHistory: [{ status: "published", note: "added to series" }] }
+    : { status: "draft", publishAt: parent.publishAt, statusHistory: [{ status: "draft" }] };
+
+// Adds sessions to a parent event, each with fresh seats from the venue's seat map
+const addSessions = async ({ parent, recurrence, dates }) => {
+  if (parent.parentEventId) throw new SeriesError(400, "Sessions can only be added to the parent event of a series.");
+  if (["completed", "cancelled"].includes(parent.status)) {
+    throw new SeriesError(409, `This event is ${parent.status}, so no sessions can be added.`);
+  }
+
+  const Event = mongoose.model("Event");
+  const existing = await Event.find({ parentEventId: parent._id }, "eventDate time").lean();
+  const planned = planSessions(parent, { recurrence, dates }, existing);
+  if (planned.length === 0) return [];
+
+  const venue = await mongoose.model("Venue").findById(parent.venueId, "seatMap").lean();
+  if (!venue) throw new SeriesError(404, "Venue not found");
+  // Legacy venues get a seat map from backfillVenueSeatMaps; until then they have none
+  if (layoutFromSeatMap(venue.seatMap).length === 0) throw new SeriesError(400, "The venue's seat map has no seats.");
+  const now = new Date();
+
+  const sessions = await Event.insertMany(
+    planned.map((session) => ({
+      ...pick(parent, [...SHARED_FIELDS, ...INITIAL_FIELDS]),
+      ...session,
+      ...sessionStatus(parent, now),
+      parentEventId: parent._id,
+      seatingLayout: layoutFromSeatMap(venue.seatMap),
+    }))
+  );
+  if (recurrence) await Event.updateOne({ _id: parent._id }, { recurrence }); // kept for display
+  return sessions;
+};
+
+// Copies the parent's shared fields onto its sessions after it changes
+const syncSessions = (parent) =>
+  mongoose.model("Event").updateMany({ parentEventId: parent._id }, { $set: pick(parent, SHARED_FIELDS) });
+
+// Shared fields are edited on the parent only
+const rejectSharedEdit = (event, what) => {
+  if (event.parentEventId) {
+    throw new SeriesError(400, `${what} can only be changed on the parent event of the series.`);
+  }
+};
+
+// The parent and its sessions in date order, for either a parent or a session id
+const seriesMembers = async (event, projection) => {
+  const parentId = event.parentEventId || event._id;
+  return mongoose
+    .model("Event")
+    .find({ $or: [{ _id: parentId }, { parentEventId: parentId }] }, projection)
+    .sort({ eventDate: 1, _id: 1 });
+};
+
+// Publishes every draft session that hasn't started yet
+const publishSeries = async ({ event, publishAt }) => {
+  const now = new Date();
+  const drafts = (await seriesMembers(event)).filter(
+    (member) => member.status === "draft" && eventStartsAt(member) > now
+  );
+  const published = [];
+  for (const member of drafts) published.push(await publishEvent({ event: member, publishAt, note: "series published" }));
+  return published;
+};
+
+// Cancels every session that hasn't finished, settling each one's bookings
+const cancelSeries = async ({ event, reason }) => {
+  const members = (await seriesMembers(event)).filter((member) => member.status !== "completed");
+  const results = [];
+  for (const member of members) results.push(await cancelEvent({ event: member, reason }));
+  return results;
+};
+
+module.exports = {
+  SHARED_FIELDS,
+  MAX_SESSIONS,
+  SeriesError,
+  parseRecurrence,
+  parseSessionDates,
+  planSessions,
+  addSessions,
+  syncSessions,
+  rejectSharedEdit,
+  seriesMembers,
+  publishSeries,
+  cancelSeries,
+};
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const { getStorage } = require("./storage");
+
+const MAX_IMAGE_BYTES = (parseFloat(process.env.MAX_IMAGE_MB) || 5) * 1024 * 1024;
+
+// Content types we accept, keyed to the format sharp reports for the file itself
+const IMAGE_TYPES = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+
+// Resized copies made of every upload, cropped to fill
+const VARIANTS = {
+  thumbnail: { width: 400, height: 225 },
+  banner: { width: 1600, height: 480 },
+};
+
+class ImageError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Where an uploaded image and its variants were stored, so they can be removed later
+const storedImageSchema = new mongoose.Schema(
+  {
+    storage: String,
+    keys: [String],
+    variants: { thumbnail: String, banner: String },
+  },
+  { _id: false }
+);
+
+// Checks the declared type and size, then that the bytes really are that kind of image
+const checkImage = async (file, field) => {
+  const format = IMAGE_TYPES[file.mimetype];
+  if (!format) {
+    throw new ImageError(400, `${field} must be one of: ${Object.keys(IMAGE_TYPES).join(", ")}`);
+  }
+  if (file.size > MAX_IMAGE_BYTES) {
+    throw new ImageError(400, `${field} is larger than ${MAX_IMAGE_BYTES / (1024 * 1024)} MB.`);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (err) {
+    throw new ImageError(400, `${field} is not a readable image.`);
+  }
+  if (metadata.format !== format) {
+    throw new ImageError(400, `${field} content does not match its type ${file.mimetype}.`);
+  }
+};
+
+// Stores the original and its variants. Returns { url, file } where `file`
+// matches storedImageSchema.
+const storeImage = async (file, { folder, field = "image" }) => {
+  await checkImage(file, field);
+
+  const storage = getStorage();
+  const base = `${folder}/${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+  const saved = [];
+  try {
+    const original = await storage.save(file.buffer, {
+      key: `${base}.${IMAGE_TYPES[file.mimetype].replace("jpeg", "jpg")}`,
+      contentType: file.mimetype,
+    });
+    saved.push(original);
+
+    const variants = {};
+    for (const [name, size] of Object.entries(VARIANTS)) {
+      const buffer = await sharp(file.buffer).rotate().resize({ ...size, fit: "cover" }).webp({ quality: 80 }).toBuffer();
+      const variant = await storage.save(buffer, { key: `${base}-${name}.webp`, contentType: "image/webp" });
+      saved.push(variant);
+      variants[name] = variant.url;
+    }
+
+    return { url: original.url, file: { storage: storage.name, keys: saved.map((item) => item.key), variants } };
+  } catch (err) {
+    await Promise.all(saved.map((item) => storage.remove(item.key).catch(() => {})));
+    throw err;
+  }
+};
+
+// Best effort: a leftover file is better than failing the request that replaced it
+const removeImage = async (stored) => {
+  if (!stored?.storage || !stored.keys?.length) return;
+  try {
+    const storage = getStorage(stored.storage);
+    await Promise.all(stored.keys.map((key) => storage.remove(key)));
+  } catch (err) {
+    console.error("Image Cleanup Error:", err.message);
+  }
+};
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  IMAGE_TYPES,
+  ImageError,
+  storedImageSchema,
+  storeImage,
+  removeImage,
+};
@@ -0,0 +1,413 @@
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const { storedImageSchema, storeImage, removeImage } = require("./images");
+const { sectionOf } = require("./tickets");
+const { spreadsheetCsvCell } = require("./seatMaps");
+
+const INCIDENT_TYPES = ["medical", "overcrowding", "blockedExit", "security"];
+const SEVERITIES = ["low", "medium", "high", "critical"];
+// open -> acknowledged -> resolved. An open incident can be resolved straight away.
+const INCIDENT_STATUSES = ["open", "acknowledged", "resolved"];
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_COMMENT_LENGTH = 2000;
+
+// Emits "reported" and "updated" with the incident after every change
+const incidentEvents = new EventEmitter();
+
+const locationSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["seat", "section", "entrance", "exit"], required: true },
+    seatId: String,
+    section: String, // also filled in for seats
+    row: Number,
+    col: Number,
+  },
+  { _id: false }
+);
+
+const incidentSchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  type: { type: String, enum: INCIDENT_TYPES, required: true },
+  severity: { type: String, enum: SEVERITIES, required: true },
+  status: { type: String, enum: INCIDENT_STATUSES, default: "open" },
+  description: { type: String, required: true },
+  location: { type: locationSchema, required: true },
+  photos: [{ _id: false, url: String, file: storedImageSchema }],
+  reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  acknowledgedAt: { type: Date },
+  resolvedAt: { type: Date },
+  resolution: { type: String },
+  // Everything that happened to the incident, comments included, oldest first
+  timeline: [
+    {
+      _id: false,
+      action: { type: String, enum: ["reported", "comment", "assigned", "acknowledged", "resolved", "photos"] },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      text: String,
+      at: { type: Date, default: Date.now },
+    },
+  ],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+incidentSchema.index({ eventId: 1, createdAt: -1 });
+incidentSchema.index({ eventId: 1, status: 1 });
+
+const Incident = mongoose.models.Incident || mongoose.model("Incident", incidentSchema);
+
+class IncidentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Multipart requests send nested values as JSON strings
+const parseJsonField = (value, field) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new IncidentError(400, `${field} must be valid JSON.`);
+  }
+};
+
+const samePoint = (a, b) => Number(a.row) === Number(b.row) && Number(a.col) === Number(b.col);
+
+// { seatId } | { section } | { entrance: { row, col } } | { exit: { row, col } },
+// checked against the event's seats and its venue
+const parseLocation = async (value, event) => {
+  const location = parseJsonField(value, "location");
+  if (!location || typeof location !== "object") {
+    throw new IncidentError(400, "location must give a seatId, section, entrance or exit.");
+  }
+  const kinds = ["seatId", "section", "entrance", "exit"].filter((kind) => location[kind] !== undefined);
+  if (kinds.length !== 1) throw new IncidentError(400, "location must give exactly one of seatId, section, entrance or exit.");
+  const [kind] = kinds;
+
+  if (kind === "seatId") {
+    const seatId = String(location.seatId);
+    if (!event.seatingLayout.some((seat) => seat.id === seatId)) {
+      throw new IncidentError(400, `Seat ${seatId} does not exist for this event.`);
+    }
+    return { kind: "seat", seatId, section: sectionOf(seatId) };
+  }
+
+  const venue = await mongoose.model("Venue").findById(event.venueId, "entrances exits seatMap.sections.sectionName").lean();
+  if (!venue) throw new IncidentError(404, "Venue not found");
+
+  if (kind === "section") {
+    const section = String(location.section).trim();
+    if (!(venue.seatMap?.sections || []).some((item) => item.sectionName === section)) {
+      throw new IncidentError(400, `The venue has no section named ${section}.`);
+    }
+    return { kind: "section", section };
+  }
+
+  const point = location[kind] || {};
+  const points = kind === "entrance" ? venue.entrances : venue.exits;
+  if (!(points || []).some((candidate) => samePoint(candidate, point))) {
+    throw new IncidentError(400, `location.${kind} must be one of the venue's ${kind}s as { row, col }.`);
+  }
+  return { kind, row: Number(point.row), col: Number(point.col) };
+};
+
+const parseText = (value, field, { required = false } = {}) => {
+  const text = value === undefined || value === null ? "" : String(value).trim();
+  if (required && !text) throw new IncidentError(400, `${field} is required.`);
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw new IncidentError(400, `${field} can be at most ${MAX_COMMENT_LENGTH} characters.`);
+  }
+  return text || undefined;
+};
+
+const storePhotos = async (files = []) => {
+  const photos = [];
+  try {
+    for (const file of files) {
+      const { url, file: stored } = await storeImage(file, { folder: "incidents", field: "photos" });
+      photos.push({ url, file: stored });
+    }
+    return photos;
+  } catch (err) {
+    await Promise.all(photos.map((photo) => removeImage(photo.file)));
+    throw err;
+  }
+};
+
+// Incidents can be filed while an event is on sale or running, and afterwards
+// for anything that comes to light late
+const reportIncident = async ({ event, body, files, userId }) => {
+  if (["draft", "cancelled"].includes(event.status)) {
+    throw new IncidentError(409, `Incidents can't be reported for ${event.status} events.`);
+  }
+  if (!INCIDENT_TYPES.includes(body.type)) {
+    throw new IncidentError(400, `type must be one of: ${INCIDENT_TYPES.join(", ")}`);
+  }
+  if (!SEVERITIES.includes(body.severity)) {
+    throw new IncidentError(400, `severity must be one of: ${SEVERITIES.join(", ")}`);
+  }
+  const description = parseText(body.description, "description", { required: true });
+  const location = await parseLocation(body.location, event);
+
+  const photos = await storePhotos(files);
+  try {
+    const incident = await Incident.create({
+      eventId: event._id,
+      type: body.type,
+      severity: body.severity,
+      description,
+      location,
+      photos,
+      reportedBy: userId,
+      timeline: [{ action: "reported", by: userId }],
+    });
+    incidentEvents.emit("reported", incident);
+    return incident;
+  } catch (err) {
+    await Promise.all(photos.map((photo) => removeImage(photo.file)));
+    throw err;
+  }
+};
+
+const listIncidents = (eventId, { status, type, severity } = {}) => {
+  const filter = { eventId };
+  [
+    ["status", status, INCIDENT_STATUSES],
+    ["type", type, INCIDENT_TYPES],
+    ["severity", severity, SEVERITIES],
+  ].forEach(([field, value, allowed]) => {
+    if (value === undefined) return;
+    if (!allowed.includes(value)) throw new IncidentError(400, `${field} must be one of: ${allowed.join(", ")}`);
+    filter[field] = value;
+  });
+  return Incident.find(filter, "-photos.file").sort({ createdAt: -1 }).lean();
+};
+
+const getIncident = async (eventId, incidentId) => {
+  const incident = await Incident.findOne({ _id: incidentId, eventId }, "-photos.file")
+    .populate("reportedBy assignedTo timeline.by", "name role")
+    .lean();
+  if (!incident) throw new IncidentError(404, "Incident not found");
+  return incident;
+};
+
+// Applies an update only while the incident is in one of `from`, so two
+// people acting at once can't both move it
+const applyUpdate = async (eventId, incidentId, from, { $push, ...update }, entry) => {
+  const incident = await Incident.findOneAndUpdate(
+    { _id: incidentId, eventId, status: { $in: from } },
+    { ...update, updatedAt: new Date(), $push: { ...$push, timeline: { ...entry, at: new Date() } } },
+    { new: true, projection: "-photos.file" }
+  );
+  if (!incident) {
+    const current = await Incident.findOne({ _id: incidentId, eventId }, "status").lean();
+    if (!current) throw new IncidentError(404, "Incident not found");
+    throw new IncidentError(409, `This incident is ${current.status}.`);
+  }
+  incidentEvents.emit("updated", incident);
+  return incident;
+};
+
+const acknowledgeIncident = ({ eventId, incidentId, userId, body }) =>
+  applyUpdate(
+    eventId,
+    incidentId,
+    ["open"],
+    { status: "acknowledged", acknowledgedAt: new Date() },
+    { action: "acknowledged", by: userId, text: parseText(body.comment, "comment") }
+  );
+
+const resolveIncident = ({ eventId, incidentId, userId, body }) => {
+  const resolution = parseText(body.resolution, "resolution", { required: true });
+  return applyUpdate(
+    eventId,
+    incidentId,
+    ["open", "acknowledged"],
+    { status: "resolved", resolvedAt: new Date(), resolution },
+    { action: "resolved", by: userId, text: resolution }
+  );
+};
+
+// The assignee has to be able to work the incident: the event's organizer or
+// staff assigned to the event
+const assignIncident = async ({ event, incidentId, userId, body }) => {
+  if (!mongoose.Types.ObjectId.isValid(body.assigneeId)) throw new IncidentError(400, "Invalid assignee ID format.");
+  const assignee = await mongoose.model("User").findById(body.assigneeId, "name").lean();
+  const assigneeId = assignee?._id.toString();
+  const onEvent =
+    assignee &&
+    (event.organizerId?.toString() === assigneeId ||
+      (await mongoose.model("StaffAssignment").exists({ eventId: event._id, staffId: assigneeId })));
+  if (!onEvent) throw new IncidentError(400, "Incidents can only be assigned to the organizer or staff assigned to this event.");
+
+  return applyUpdate(
+    event._id,
+    incidentId,
+    ["open", "acknowledged"],
+    { assignedTo: assigneeId },
+    { action: "assigned", by: userId, text: `assigned to ${assignee.name}` }
+  );
+};
+
+// Comments are allowed at any status, so notes can be added after resolution
+const addComment = ({ eventId, incidentId, userId, body }) =>
+  applyUpdate(eventId, incidentId, INCIDENT_STATUSES, {}, {
+    action: "comment",
+    by: userId,
+    text: parseText(body.text, "text", { required: true }),
+  });
+
+const addPhotos = async ({ eventId, incidentId, userId, files }) => {
+  if (!files?.length) throw new IncidentError(400, "Upload at least one photo as photos.");
+  const photos = await storePhotos(files);
+  try {
+    return await applyUpdate(
+      eventId,
+      incidentId,
+      INCIDENT_STATUSES,
+      { $push: { photos: { $each: photos } } },
+      { action: "photos", by: userId, text: `${photos.length} photo(s) added` }
+    );
+  } catch (err) {
+    await Promise.all(photos.map((photo) => removeImage(photo.file)));
+    throw err;
+  }
+};
+
+// Stored photo files for the given events, so they can be removed with them
+const incidentPhotoFiles = async (eventIds) =>
+  (await Incident.find({ eventId: { $in: eventIds } }, "photos.file").lean()).flatMap((incident) =>
+    incident.photos.map((photo) => photo.file)
+  );
+
+// Live feed
+
+const feeds = new Map(); // eventId -> Set of open responses
+
+const send = (res, name, data) => res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+
+const broadcast = (incident, name) => {
+  const clients = feeds.get(incident.eventId.toString());
+  if (!clients) return;
+  const data = typeof incident.toObject === "function" ? incident.toObject() : incident;
+  clients.forEach((res) => send(res, name, data));
+};
+
+incidentEvents.on("reported", (incident) => broadcast(incident, "reported"));
+incidentEvents.on("updated", (incident) => broadcast(incident, "updated"));
+
+// Server-Sent Events stream: the incidents that are still open, then
+// "reported" and "updated" events as they happen
+const subscribeIncidents = async (eventId, req, res) => {
+  eventId = eventId.toString();
+  let closed = false;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    const clients = feeds.get(eventId);
+    if (!clients) return;
+    clients.delete(res);
+    if (clients.size === 0) feeds.delete(eventId);
+  });
+
+  const active = await Incident.find({ eventId, status: { $ne: "resolved" } }, "-photos.file")
+    .sort({ createdAt: -1 })
+    .lean();
+  if (closed) return;
+
+  send(res, "snapshot", active);
+  if (!feeds.has(eventId)) feeds.set(eventId, new Set());
+  feeds.get(eventId).add(res);
+};
+
+// Export
+
+const EXPORT_COLUMNS = [
+  "incidentId",
+  "createdAt",
+  "type",
+  "severity",
+  "status",
+  "location",
+  "description",
+  "reportedBy",
+  "assignedTo",
+  "acknowledgedAt",
+  "resolvedAt",
+  "resolution",
+  "comments",
+  "photos",
+];
+
+const describeLocation = (location) => {
+  if (location.kind === "seat") return `seat ${location.seatId}`;
+  if (location.kind === "section") return `section ${location.section}`;
+  return `${location.kind} (${location.row}, ${location.col})`;
+};
+
+// The full log with people's names and every timeline entry, oldest first
+const exportIncidents = (eventId) =>
+  Incident.find({ eventId }, "-photos.file")
+    .populate("reportedBy assignedTo timeline.by", "name email")
+    .sort({ createdAt: 1 })
+    .lean();
+
+const incidentsToCsv = (incidents) =>
+  [
+    EXPORT_COLUMNS.join(","),
+    ...incidents.map((incident) =>
+      [
+        incident._id,
+        incident.createdAt?.toISOString(),
+        incident.type,
+        incident.severity,
+        incident.status,
+        describeLocation(incident.location),
+        incident.description,
+        incident.reportedBy?.name,
+        incident.assignedTo?.name,
+        incident.acknowledgedAt?.toISOString(),
+        incident.resolvedAt?.toISOString(),
+        incident.resolution,
+        incident.timeline
+          .filter((entry) => entry.action === "comment")
+          .map((entry) => `${entry.at.toISOString()} ${entry.by?.name || ""}: ${entry.text}`)
+          .join(" | "),
+        incident.photos.map((photo) => photo.url).join(" "),
+      ]
+        .map(spreadsheetCsvCell)
+        .join(",")
+    ),
+  ].join("\n") + "\n";
+
+module.exports = {
+  INCIDENT_TYPES,
+  SEVERITIES,
+  INCIDENT_STATUSES,
+  Incident,
+  IncidentError,
+  incidentEvents,
+  reportIncident,
+  listIncidents,
+  getIncident,
+  acknowledgeIncident,
+  resolveIncident,
+  assignIncident,
+  addComment,
+  addPhotos,
+  incidentPhotoFiles,
+  describeLocation,
+  subscribeIncidents,
+  exportIncidents,
+  incidentsToCsv,
+};
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+// Progressive lockout after failed logins. From the LOCKOUT_THRESHOLD-th failure
+// in a row the account is locked, for 1 minute and then twice as long after each
+// further failure, up to a day. A successful login or an admin unlock starts
+// over, and so does a failure more than a day after the previous one.
+// Emails with no account are counted and locked the same way, so the response
+// never tells an attacker whether an address is registered.
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+// Stored on the user as `lockout`
+const lockoutSchema = new mongoose.Schema(
+  {
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date },
+    lockedUntil: { type: Date },
+  },
+  { _id: false }
+);
+
+// Failed logins for emails that don't belong to an account, forgotten a day
+// after the last one (by which time any lock has run out)
+const unknownLoginSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true },
+  lockout: { type: lockoutSchema, default: () => ({}) },
+});
+unknownLoginSchema.index({ "lockout.lastFailureAt": 1 }, { expireAfterSeconds: FAILURE_MEMORY_MS / 1000 });
+
+const UnknownLogin = mongoose.models.UnknownLogin || mongoose.model("UnknownLogin", unknownLoginSchema);
+
+class LockoutError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Seconds until the account can log in again, or 0 when it isn't locked
+const lockedFor = (user, now = new Date()) => {
+  const until = user.lockout?.lockedUntil;
+  return until && until > now ? Math.ceil((until - now) / 1000) : 0;
+};
+
+const lockDuration = (failures) => Math.min(BASE_LOCK_MS * 2 ** (failures - LOCKOUT_THRESHOLD), MAX_LOCK_MS);
+
+const recordFailure = async (Model, filter, now, { upsert = false } = {}) => {
+  const stale = new Date(now.getTime() - FAILURE_MEMORY_MS);
+  await Model.updateOne({ ...filter, "lockout.lastFailureAt": { $lt: stale } }, { "lockout.failures": 0 });
+
+  const updated = await Model.findOneAndUpdate(
+    filter,
+    { $inc: { "lockout.failures": 1 }, "lockout.lastFailureAt": now },
+    { new: true, upsert, projection: "lockout" }
+  ).lean();
+  const failures = updated?.lockout?.failures || 0;
+  if (failures < LOCKOUT_THRESHOLD) return 0;
+
+  const lockedUntil = new Date(now.getTime() + lockDuration(failures));
+  await Model.updateOne(filter, { "lockout.lockedUntil": lockedUntil });
+  return lockedFor({ lockout: { lockedUntil } }, now);
+};
+
+// Counts a wrong password and returns the seconds the account is now locked for, or 0
+const recordFailedLogin = (user, now = new Date()) => recordFailure(mongoose.model("User"), { _id: user._id }, now);
+
+// The same for an email with no account
+const recordUnknownLogin = (email, now = new Date()) => recordFailure(UnknownLogin, { email }, now, { upsert: true });
+
+const unknownLockedFor = async (email, now = new Date()) => {
+  const entry = await UnknownLogin.findOne({ email }, "lockout").lean();
+  return entry ? lockedFor(entry, now) : 0;
+};
+
+const clearFailedLogins = (userId) =>
+  mongoose.model("User").updateOne({ _id: userId, "lockout.failures": { $gt: 0 } }, { $unset: { lockout: 1 } });
+
+const unlockAccount = async (userId) => {
+  const user = await mongoose
+    .model("User")
+    .findByIdAndUpdate(userId, { $unset: { lockout: 1 } }, { new: true })
+    .select("-password");
+  if (!user) throw new LockoutError(404, "User not found");
+  return user;
+};
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  lockoutSchema,
+  LockoutError,
+  lockedFor,
+  recordFailedLogin,
+  recordUnknownLogin,
+  unknownLockedFor,
+  clearFailedLogins,
+  unlockAccount,
+};
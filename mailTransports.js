@@ -0,0 +1,64 @@
+const nodemailer = require("nodemailer");
+
+// Every mail transport implements:
+//   name
+//   send({ to, subject, text, html }) -> { messageId }
+// and throws when the message could not be handed over, so the job is retried.
+const transports = new Map();
+
+const registerTransport = (transport) => {
+  ["name", "send"].forEach((key) => {
+    if (!transport[key]) throw new Error(`Mail transport is missing ${key}`);
+  });
+  transports.set(transport.name, transport);
+  return transport;
+};
+
+// SMTP when a host is configured, the console otherwise
+const getTransport = (name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "log")) => {
+  const transport = transports.get(name);
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+  return transport;
+};
+
+const mailFrom = () => process.env.MAIL_FROM || "CrowdEase <no-reply@crowdease.local>";
+
+// Any SMTP server, including a local test server such as MailHog or smtp4dev
+// (SMTP_HOST=localhost SMTP_PORT=1025)
+let smtpClient;
+const smtpTransport = {
+  name: "smtp",
+
+  async send({ to, subject, text, html }) {
+    if (!smtpClient) {
+      smtpClient = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      });
+    }
+    const info = await smtpClient.sendMail({ from: mailFrom(), to, subject, text, html });
+    return { messageId: info.messageId };
+  },
+};
+
+// Development fallback: prints the message instead of sending it
+const logTransport = {
+  name: "log",
+
+  async send({ to, subject, text }) {
+    console.log(`Mail to ${to}: ${subject}\n${text}`);
+    return { messageId: `log-${Date.now()}` };
+  },
+};
+
+registerTransport(smtpTransport);
+registerTransport(logTransport);
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  smtpTransport,
+  logTransport,
+};
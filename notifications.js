@@ -0,0 +1,533 @@
+const mongoose = require("mongoose");
+const { getTransport } = require("./mailTransports");
+const { orderEvents } = require("./orders");
+const { lifecycleEvents } = require("./eventLifecycle");
+const { waitlistEvents } = require("./waitlist");
+const { LISTED_STATUSES, eventStartsAt } = require("./eventSchedule");
+const { incidentEvents, describeLocation } = require("./incidents");
+
+const HOUR_MS = 60 * 60 * 1000;
+// Email delivery is retried with exponential backoff, then the job is marked failed
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = HOUR_MS;
+// A job stuck in "sending" this long (e.g. the server restarted) is picked up again
+const SEND_LOCK_MS = 2 * 60 * 1000;
+// Hours before an event starts when ticket holders are reminded, e.g. REMINDER_HOURS=48,24,2
+const REMINDER_HOURS = (process.env.REMINDER_HOURS || "24,2")
+  .split(",")
+  .map(Number)
+  .filter((hours) => hours > 0);
+
+// One template per notification type. {{name}} placeholders are filled from
+// the data passed to notify(). `inbox: false` keeps a message out of the in-app
+// inbox and `required` types are sent whatever the user's preferences say.
+const TEMPLATES = {
+  bookingConfirmed: {
+    title: "Your tickets for {{eventName}}",
+    body: "Hi {{name}}, your booking is confirmed: {{seatCount}} ticket(s) for {{eventName}} on {{startsAt}}.\nSeats: {{seats}}\nTotal paid: {{amount}}",
+  },
+  eventUpdated: {
+    title: "{{eventName}} has been rescheduled",
+    body: "Hi {{name}}, {{eventName}} has moved from {{previousStartsAt}} to {{startsAt}}. Your tickets are still valid.",
+  },
+  eventCancelled: {
+    title: "{{eventName}} has been cancelled",
+    body: "Hi {{name}}, {{eventName}} on {{startsAt}} has been cancelled.{{reasonText}}\nAny payment you made for tickets is being refunded.",
+  },
+  eventReminder: {
+    title: "Reminder: {{eventName}} starts in {{timeLeft}}",
+    body: "Hi {{name}}, {{eventName}} starts on {{startsAt}}. Have your ticket QR codes ready at the entrance.",
+  },
+  waitlistOffer: {
+    title: "Seats are waiting for you at {{eventName}}",
+    body: "Hi {{name}}, seats {{seats}} for {{eventName}} are held for you until {{expiresAt}}. Book them before then or they go to the next person on the waitlist.",
+  },
+  incidentReported: {
+    title: "{{severity}} {{incidentType}} incident at {{eventName}}",
+    body: "Hi {{name}}, {{reporter}} reported a {{severity}} {{incidentType}} incident at {{location}}:\n{{description}}",
+  },
+  // The link only goes by email; the inbox is no use to someone locked out
+  passwordReset: {
+    title: "Reset your CrowdEase password",
+    body: "Hi {{name}}, use this link to choose a new password: {{resetUrl}}\nIf you didn't ask for a reset, you can ignore this email.",
+    inbox: false,
+    required: true,
+  },
+};
+const NOTIFICATION_TYPES = Object.keys(TEMPLATES);
+const CHANNELS = ["email", "inApp"];
+
+const notificationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  title: { type: String, required: true },
+  body: { type: String, required: true },
+  refs: {
+    eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event" },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+  },
+  readAt: { type: Date }, // unset while unread
+  createdAt: { type: Date, default: Date.now },
+});
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+// pending -> sending -> sent, or back to pending until attempts run out and it is failed
+const notificationJobSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  channel: { type: String, enum: ["email"], default: "email" },
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  text: { type: String, required: true },
+  html: { type: String },
+  status: { type: String, enum: ["pending", "sending", "sent", "failed"], default: "pending" },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: MAX_ATTEMPTS },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date },
+  lastError: { type: String },
+  messageId: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  sentAt: { type: Date },
+});
+notificationJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Per-type channel switches; anything unset is on
+const notificationPreferenceSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+  types: {
+    type: Map,
+    of: new mongoose.Schema({ email: Boolean, inApp: Boolean }, { _id: false }),
+    default: {},
+  },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Event-wide notices already sent, so reminders and cancellation notices go out once
+const eventNoticeSchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  key: { type: String, required: true }, // e.g. "reminder:24" or "cancelled"
+  sentAt: { type: Date, default: Date.now },
+});
+eventNoticeSchema.index({ eventId: 1, key: 1 }, { unique: true });
+
+const Notification = mongoose.models.Notification || mongoose.model("Notification", notificationSchema);
+const NotificationJob = mongoose.models.NotificationJob || mongoose.model("NotificationJob", notificationJobSchema);
+const NotificationPreference =
+  mongoose.models.NotificationPreference || mongoose.model("NotificationPreference", notificationPreferenceSchema);
+const EventNotice = mongoose.models.EventNotice || mongoose.model("EventNotice", eventNoticeSchema);
+
+class NotificationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const logFailure = (err) => console.error("Notification Error:", err.message);
+
+const renderTemplate = (template, values) => template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? "");
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+const formatDate = (date) =>
+  new Intl.DateTimeFormat("en-GB", {
+    dateStyle: "full",
+    timeStyle: "short",
+    timeZone: process.env.NOTIFICATION_TIMEZONE || "UTC",
+  }).format(new Date(date));
+
+const formatMoney = (amount) => Number(amount || 0).toFixed(2);
+
+// The user's switches for every type, with defaults filled in
+const preferencesOf = (stored, type) => {
+  const template = TEMPLATES[type];
+  if (template.required) return { email: true, inApp: template.inbox !== false };
+  return { email: true, inApp: template.inbox !== false, ...stored?.types?.get(type)?.toObject() };
+};
+
+// Puts a message in each user's inbox and queues the email, as their
+// preferences allow. `refs` links the inbox entry to an event or order.
+const notify = async ({ userIds, type, data = {}, refs = {} }) => {
+  const template = TEMPLATES[type];
+  if (!template) throw new Error(`Unknown notification type: ${type}`);
+  const ids = [...new Set(userIds.map(String))];
+  if (ids.length === 0) return { notifications: [], jobs: [] };
+
+  const [users, preferences] = await Promise.all([
+    mongoose.model("User").find({ _id: { $in: ids } }, "email name").lean(),
+    NotificationPreference.find({ userId: { $in: ids } }),
+  ]);
+  const preferencesByUser = new Map(preferences.map((preference) => [preference.userId.toString(), preference]));
+
+  const notifications = [];
+  const jobs = [];
+  users.forEach((user) => {
+    const preference = preferencesOf(preferencesByUser.get(user._id.toString()), type);
+    const values = { ...data, name: user.name };
+    const title = renderTemplate(template.title, values);
+    const body = renderTemplate(template.body, values);
+
+    if (preference.inApp && template.inbox !== false) {
+      notifications.push({ userId: user._id, type, title, body, refs });
+    }
+    if (preference.email && user.email) {
+      jobs.push({
+        userId: user._id,
+        type,
+        to: user.email,
+        subject: title,
+        text: body,
+        html: `<p>${escapeHtml(body).replace(/\n/g, "<br>")}</p>`,
+      });
+    }
+  });
+
+  const [savedNotifications, savedJobs] = await Promise.all([
+    notifications.length ? Notification.insertMany(notifications) : [],
+    jobs.length ? NotificationJob.insertMany(jobs) : [],
+  ]);
+  if (savedJobs.length) setImmediate(() => processNotificationJobs().catch(logFailure));
+  return { notifications: savedNotifications, jobs: savedJobs };
+};
+
+// Records an event-wide notice; false when it was already sent
+const markNoticeSent = async (eventId, key) => {
+  try {
+    await EventNotice.create({ eventId, key });
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+const ticketHolders = (eventId) => mongoose.model("Ticket").distinct("attendeeId", { eventId, status: "valid" });
+
+// Delivery
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+const deliver = async (job) => {
+  try {
+    const { messageId } = await getTransport().send({ to: job.to, subject: job.subject, text: job.text, html: job.html });
+    job.set({ status: "sent", sentAt: new Date(), messageId, lockedUntil: undefined, lastError: undefined });
+  } catch (err) {
+    job.set({
+      status: job.attempts >= job.maxAttempts ? "failed" : "pending",
+      nextAttemptAt: new Date(Date.now() + retryDelay(job.attempts)),
+      lockedUntil: undefined,
+      lastError: err.message,
+    });
+  }
+  await job.save();
+  return job;
+};
+
+// Claims due jobs one at a time, so several servers can share the queue
+const drainJobs = async (limit) => {
+  const delivered = [];
+  while (delivered.length < limit) {
+    const now = new Date();
+    const job = await NotificationJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          { status: "sending", lockedUntil: { $lte: now } },
+        ],
+      },
+      { status: "sending", lockedUntil: new Date(now.getTime() + SEND_LOCK_MS), $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!job) break;
+    delivered.push(await deliver(job));
+  }
+  return delivered;
+};
+
+// One pass at a time in this process
+let running = null;
+const processNotificationJobs = (limit = 50) => {
+  if (!running) running = drainJobs(limit).finally(() => (running = null));
+  return running;
+};
+
+// Puts a failed job back in the queue with fresh attempts
+const retryJob = async (jobId) => {
+  const job = await NotificationJob.findOneAndUpdate(
+    { _id: jobId, status: "failed" },
+    { status: "pending", attempts: 0, nextAttemptAt: new Date(), $unset: { lastError: "" } },
+    { new: true }
+  );
+  if (!job) throw new NotificationError(404, "No failed notification job with that ID");
+  setImmediate(() => processNotificationJobs().catch(logFailure));
+  return job;
+};
+
+const listJobs = async ({ status, limit = 50 }) => {
+  if (status && !notificationJobSchema.path("status").enumValues.includes(status)) {
+    throw new NotificationError(400, `status must be one of: ${notificationJobSchema.path("status").enumValues.join(", ")}`);
+  }
+  return NotificationJob.find(status ? { status } : {}, "-html")
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Number(limit) || 50, 200));
+};
+
+// Reminders
+
+const describeTimeLeft = (ms) => {
+  const hours = Math.round(ms / HOUR_MS);
+  if (hours >= 48) return `${Math.round(hours / 24)} days`;
+  if (hours >= 1) return hours === 1 ? "1 hour" : `${hours} hours`;
+  return "less than an hour";
+};
+
+// Sends the reminder for the nearest interval that has come due. A late sweep
+// sends one reminder, not one per interval it missed.
+const sendDueReminders = async (now = new Date()) => {
+  if (REMINDER_HOURS.length === 0) return [];
+  const horizon = Math.max(...REMINDER_HOURS) * HOUR_MS;
+
+  // eventDate holds the day, so look a day either side of the window
+  const events = await mongoose
+    .model("Event")
+    .find(
+      {
+        status: { $in: LISTED_STATUSES },
+        eventDate: { $gte: new Date(now.getTime() - 24 * HOUR_MS), $lte: new Date(now.getTime() + horizon + 24 * HOUR_MS) },
+      },
+      "eventName eventDate time"
+    )
+    .lean();
+
+  const reminded = [];
+  for (const event of events) {
+    const startsAt = eventStartsAt(event);
+    if (startsAt <= now) continue;
+    const due = REMINDER_HOURS.filter((hours) => startsAt.getTime() - hours * HOUR_MS <= now.getTime()).sort((a, b) => a - b);
+    if (due.length === 0) continue;
+    if (!(await markNoticeSent(event._id, `reminder:${due[0]}`))) continue;
+    // Larger intervals that were never sent are skipped for good
+    await Promise.all(due.slice(1).map((hours) => markNoticeSent(event._id, `reminder:${hours}`)));
+
+    await notify({
+      userIds: await ticketHolders(event._id),
+      type: "eventReminder",
+      data: {
+        eventName: event.eventName,
+        startsAt: formatDate(startsAt),
+        timeLeft: describeTimeLeft(startsAt.getTime() - now.getTime()),
+      },
+      refs: { eventId: event._id },
+    });
+    reminded.push(event._id);
+  }
+  return reminded;
+};
+
+const startNotificationWorker = (intervalMs = 30 * 1000) => {
+  const timer = setInterval(() => {
+    processNotificationJobs().catch(logFailure);
+    sendDueReminders().catch(logFailure);
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+// Inbox
+
+const listNotifications = async ({ userId, unread, before, limit = 20 }) => {
+  limit = Number(limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw new NotificationError(400, "limit must be a whole number between 1 and 100.");
+  }
+  const filter = { userId };
+  if (unread === true || unread === "true") filter.readAt = null;
+  if (before) {
+    const date = new Date(before);
+    if (Number.isNaN(date.getTime())) throw new NotificationError(400, "before must be a date.");
+    filter.createdAt = { $lt: date };
+  }
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1 }).limit(limit + 1),
+    Notification.countDocuments({ userId, readAt: null }),
+  ]);
+  const hasMore = notifications.length > limit;
+  const page = notifications.slice(0, limit);
+  return { notifications: page, unreadCount, nextBefore: hasMore ? page[page.length - 1].createdAt : null };
+};
+
+const markRead = async ({ userId, notificationId, read = true }) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, userId },
+    read ? { readAt: new Date() } : { $unset: { readAt: "" } },
+    { new: true }
+  );
+  if (!notification) throw new NotificationError(404, "Notification not found");
+  return notification;
+};
+
+const markAllRead = async (userId) => {
+  const result = await Notification.updateMany({ userId, readAt: null }, { readAt: new Date() });
+  return result.modifiedCount;
+};
+
+// Preferences
+
+const getPreferences = async (userId) => {
+  const stored = await NotificationPreference.findOne({ userId });
+  return Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, preferencesOf(stored, type)]));
+};
+
+// Takes { [type]: { email, inApp } } with any subset of types and channels
+const updatePreferences = async (userId, body) => {
+  const stored = (await NotificationPreference.findOne({ userId })) || new NotificationPreference({ userId });
+
+  Object.entries(body || {}).forEach(([type, channels]) => {
+    const template = TEMPLATES[type];
+    if (!template) throw new NotificationError(400, `Unknown notification type: ${type}`);
+    if (template.required) throw new NotificationError(400, `${type} notifications can't be turned off.`);
+    if (!channels || typeof channels !== "object") throw new NotificationError(400, `${type} must be an object.`);
+
+    const current = stored.types.get(type)?.toObject() || {};
+    Object.entries(channels).forEach(([channel, enabled]) => {
+      if (!CHANNELS.includes(channel)) throw new NotificationError(400, `Unknown channel for ${type}: ${channel}`);
+      if (typeof enabled !== "boolean") throw new NotificationError(400, `${type}.${channel} must be true or false.`);
+      current[channel] = enabled;
+    });
+    stored.types.set(type, current);
+  });
+
+  stored.updatedAt = new Date();
+  await stored.save();
+  return getPreferences(userId);
+};
+
+// Triggers
+
+const eventDetails = (eventId) => mongoose.model("Event").findById(eventId, "eventName eventDate time").lean();
+
+orderEvents.on("fulfilled", (order) => {
+  eventDetails(order.eventId)
+    .then((event) => {
+      const seats = order.items.filter((item) => item.status === "active").map((item) => item.seatId);
+      return notify({
+        userIds: [order.userId],
+        type: "bookingConfirmed",
+        data: {
+          eventName: event?.eventName,
+          startsAt: event ? formatDate(eventStartsAt(event)) : "",
+          seats: seats.join(", "),
+          seatCount: seats.length,
+          amount: formatMoney(order.amount),
+        },
+        refs: { eventId: order.eventId, orderId: order._id },
+      });
+    })
+    .catch(logFailure);
+});
+
+lifecycleEvents.on("rescheduled", ({ event, previousStartsAt }) => {
+  const startsAt = eventStartsAt(event);
+  markNoticeSent(event._id, `rescheduled:${startsAt.toISOString()}`)
+    .then(async (first) => {
+      if (!first) return;
+      await notify({
+        userIds: await ticketHolders(event._id),
+        type: "eventUpdated",
+        data: { eventName: event.eventName, startsAt: formatDate(startsAt), previousStartsAt: formatDate(previousStartsAt) },
+        refs: { eventId: event._id },
+      });
+    })
+    .catch(logFailure);
+});
+
+// Cancelling again to retry refunds doesn't send a second notice
+lifecycleEvents.on("cancelled", ({ event, attendeeIds }) => {
+  markNoticeSent(event._id, "cancelled")
+    .then(
+      (first) =>
+        first &&
+        notify({
+          userIds: attendeeIds,
+          type: "eventCancelled",
+          data: {
+            eventName: event.eventName,
+            startsAt: formatDate(eventStartsAt(event)),
+            reasonText: event.cancellationReason ? ` Reason: ${event.cancellationReason}` : "",
+          },
+          refs: { eventId: event._id },
+        })
+    )
+    .catch(logFailure);
+});
+
+waitlistEvents.on("offered", (entry) => {
+  eventDetails(entry.eventId)
+    .then((event) =>
+      notify({
+        userIds: [entry.userId],
+        type: "waitlistOffer",
+        data: {
+          eventName: event?.eventName,
+          seats: entry.offer.seatIds.join(", "),
+          expiresAt: formatDate(entry.offer.expiresAt),
+        },
+        refs: { eventId: entry.eventId },
+      })
+    )
+    .catch(logFailure);
+});
+
+// Organizers hear about serious incidents even when they aren't watching the live feed
+const URGENT_SEVERITIES = ["high", "critical"];
+
+incidentEvents.on("reported", (incident) => {
+  if (!URGENT_SEVERITIES.includes(incident.severity)) return;
+  Promise.all([
+    mongoose.model("Event").findById(incident.eventId, "eventName organizerId").lean(),
+    mongoose.model("User").findById(incident.reportedBy, "name").lean(),
+  ])
+    .then(([event, reporter]) => {
+      if (!event?.organizerId) return;
+      return notify({
+        userIds: [event.organizerId],
+        type: "incidentReported",
+        data: {
+          eventName: event.eventName,
+          severity: incident.severity,
+          incidentType: incident.type,
+          reporter: reporter?.name || "Staff",
+          location: describeLocation(incident.location),
+          description: incident.description,
+        },
+        refs: { eventId: incident.eventId },
+      });
+    })
+    .catch(logFailure);
+});
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  TEMPLATES,
+  REMINDER_HOURS,
+  Notification,
+  NotificationJob,
+  NotificationError,
+  renderTemplate,
+  notify,
+  processNotificationJobs,
+  retryJob,
+  listJobs,
+  sendDueReminders,
+  startNotificationWorker,
+  listNotifications,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences,
+};
@@ -0,0 +1,232 @@
+const mongoose = require("mongoose");
+const { sectionOf } = require("./tickets");
+const { ScanLog, scanEvents } = require("./checkIn");
+
+// Used for any threshold an event hasn't configured
+const DEFAULT_THRESHOLDS = {
+  warning: parseFloat(process.env.CROWD_WARNING_RATIO) || 0.75,
+  critical: parseFloat(process.env.CROWD_CRITICAL_RATIO) || 0.9,
+  gateCapacity: parseInt(process.env.GATE_CAPACITY_PER_WINDOW, 10) || 250, // people through one gate per window
+  windowMinutes: parseInt(process.env.GATE_WINDOW_MINUTES, 10) || 5,
+};
+
+const REFRESH_DEBOUNCE_MS = 1000;
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_RECENT_ALERTS = 50;
+
+const levelFor = (density, thresholds) => {
+  if (density >= thresholds.critical) return "critical";
+  if (density >= thresholds.warning) return "warning";
+  return "normal";
+};
+
+const zone = (type, id, headcount, capacity, thresholds, extra = {}) => {
+  const density = capacity > 0 ? headcount / capacity : 0;
+  return {
+    type,
+    id,
+    headcount,
+    capacity,
+    density: Math.round(density * 1000) / 1000,
+    level: levelFor(density, thresholds),
+    ...extra,
+  };
+};
+
+const pointKey = (point) => `${point.row},${point.col}`;
+
+const validateThresholds = (input) => {
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...input };
+  const { warning, critical, gateCapacity, windowMinutes } = thresholds;
+  if (!(warning > 0 && warning < critical && critical <= 1)) {
+    return "warning and critical must satisfy 0 < warning < critical <= 1.";
+  }
+  if (!(gateCapacity > 0) || !(windowMinutes > 0)) {
+    return "gateCapacity and windowMinutes must be positive numbers.";
+  }
+  return null;
+};
+
+// Sections are measured against their seat count; gates against how many
+// people they can pass in the configured window.
+const computeOccupancy = async (eventId) => {
+  const event = await mongoose
+    .model("Event")
+    .findById(eventId, "seatingLayout venueId crowdThresholds")
+    .lean();
+  if (!event) return null;
+
+  const venue = await mongoose.model("Venue").findById(event.venueId, "maxCapacity entrances exits").lean();
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...event.crowdThresholds };
+  const id = new mongoose.Types.ObjectId(eventId);
+  const windowStart = new Date(Date.now() - thresholds.windowMinutes * 60 * 1000);
+
+  const [insideBySection, gateFlow] = await Promise.all([
+    mongoose.model("Ticket").aggregate([
+      { $match: { eventId: id, checkInStatus: "inside" } },
+      { $group: { _id: "$section", count: { $sum: 1 } } },
+    ]),
+    ScanLog.aggregate([
+      { $match: { eventId: id, accepted: true, scannedAt: { $gte: windowStart } } },
+      {
+        $group: {
+          _id: { row: "$entrance.row", col: "$entrance.col" },
+          entries: { $sum: { $cond: [{ $eq: ["$direction", "entry"] }, 1, 0] } },
+          exits: { $sum: { $cond: [{ $eq: ["$direction", "exit"] }, 1, 0] } },
+        },
+      },
+    ]),
+  ]);
+
+  const seatsBySection = {};
+  event.seatingLayout.forEach((seat) => {
+    const section = sectionOf(seat.id);
+    seatsBySection[section] = (seatsBySection[section] || 0) + 1;
+  });
+  const inside = Object.fromEntries(insideBySection.map((group) => [group._id, group.count]));
+  const flow = Object.fromEntries(gateFlow.map((group) => [pointKey(group._id), group]));
+
+  const sections = Object.entries(seatsBySection).map(([section, seats]) =>
+    zone("section", section, inside[section] || 0, seats, thresholds)
+  );
+  const gates = [
+    ...(venue?.entrances || []).map((point) => {
+      const { entries = 0, exits = 0 } = flow[pointKey(point)] || {};
+      return zone("entrance", pointKey(point), entries + exits, thresholds.gateCapacity, thresholds, {
+        row: point.row,
+        col: point.col,
+        entries,
+        exits,
+      });
+    }),
+    ...(venue?.exits || []).map((point) => {
+      const { exits = 0 } = flow[pointKey(point)] || {};
+      return zone("exit", pointKey(point), exits, thresholds.gateCapacity, thresholds, {
+        row: point.row,
+        col: point.col,
+      });
+    }),
+  ];
+
+  const totalInside = sections.reduce((sum, section) => sum + section.headcount, 0);
+  const venueCapacity = venue?.maxCapacity || event.seatingLayout.length;
+
+  return {
+    eventId: eventId.toString(),
+    at: new Date(),
+    thresholds,
+    venue: zone("venue", "venue", totalInside, venueCapacity, thresholds),
+    sections,
+    gates,
+  };
+};
+
+// Alert state and live subscribers, per event. Alerts are tracked from the
+// first scan whether or not anyone is watching; the state is dropped when the
+// last watcher leaves.
+const streams = new Map();
+
+const streamFor = (eventId) => {
+  if (!streams.has(eventId)) {
+    streams.set(eventId, { clients: new Set(), levels: new Map(), alerts: [], timer: null });
+  }
+  return streams.get(eventId);
+};
+
+const send = (res, name, data) => res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+
+const broadcast = (stream, name, data) => stream.clients.forEach((res) => send(res, name, data));
+
+// Raise an alert whenever a zone moves up to warning or critical
+const detectAlerts = (stream, snapshot) => {
+  const raised = [];
+  [snapshot.venue, ...snapshot.sections, ...snapshot.gates].forEach((current) => {
+    const key = `${current.type}:${current.id}`;
+    const previous = stream.levels.get(key) || "normal";
+    stream.levels.set(key, current.level);
+
+    const rank = { normal: 0, warning: 1, critical: 2 };
+    if (rank[current.level] > rank[previous]) {
+      raised.push({
+        type: "crowding",
+        level: current.level,
+        zone: { type: current.type, id: current.id },
+        headcount: current.headcount,
+        capacity: current.capacity,
+        density: current.density,
+        at: snapshot.at,
+      });
+    }
+  });
+
+  stream.alerts = [...raised, ...stream.alerts].slice(0, MAX_RECENT_ALERTS);
+  return raised;
+};
+
+const refresh = async (eventId) => {
+  const stream = streamFor(eventId);
+  const snapshot = await computeOccupancy(eventId);
+  if (!snapshot) return;
+
+  const raised = detectAlerts(stream, snapshot);
+  if (stream.clients.size === 0) return;
+  raised.forEach((alert) => broadcast(stream, "alert", alert));
+  broadcast(stream, "occupancy", snapshot);
+};
+
+// Scans arrive in bursts at the gates, so collapse them into one refresh
+const scheduleRefresh = (eventId) => {
+  const stream = streamFor(eventId);
+  if (stream.timer) return;
+
+  stream.timer = setTimeout(() => {
+    stream.timer = null;
+    refresh(eventId).catch((err) => console.error("Occupancy refresh failed:", err.message));
+  }, REFRESH_DEBOUNCE_MS);
+};
+
+scanEvents.on("scan", ({ eventId }) => scheduleRefresh(eventId));
+
+// Server-Sent Events stream: an initial snapshot, then "occupancy" and "alert" events
+const subscribe = async (eventId, req, res) => {
+  eventId = eventId.toString();
+  let closed = false;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    const stream = streams.get(eventId);
+    if (!stream) return;
+    stream.clients.delete(res);
+    if (stream.clients.size === 0) {
+      clearTimeout(stream.timer);
+      streams.delete(eventId);
+    }
+  });
+
+  const snapshot = await computeOccupancy(eventId);
+  if (closed) return;
+
+  const stream = streamFor(eventId);
+  detectAlerts(stream, snapshot);
+  send(res, "occupancy", snapshot);
+  stream.alerts.forEach((alert) => send(res, "alert", alert));
+  stream.clients.add(res);
+};
+
+const recentAlerts = (eventId) => streams.get(eventId.toString())?.alerts || [];
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  validateThresholds,
+  computeOccupancy,
+  subscribe,
+  recentAlerts,
+};
@@ -0,0 +1,350 @@
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const {
+  SeatHold,
+  SeatHoldError,
+  holdEvents,
+  holdSeats,
+  findActiveHold,
+  confirmHold,
+  releaseHold,
+  releaseSeats,
+} = require("./seatHolds");
+const { quoteForBooking, redeemQuote, releaseRedemption } = require("./pricing");
+const { issueTickets } = require("./tickets");
+const { getProvider } = require("./paymentProviders");
+const { auditChanges } = require("./audit");
+const { holdBestAvailable } = require("./allocation");
+
+const orderItemSchema = new mongoose.Schema(
+  {
+    seatId: String,
+    section: String,
+    ticketType: String,
+    price: Number,
+    ticketId: { type: mongoose.Schema.Types.ObjectId, ref: "Ticket" },
+    // refunding while the provider pays it back, so two refunds can't both pay out
+    status: { type: String, enum: ["active", "refunding", "refunded"], default: "active" },
+  },
+  { _id: false }
+);
+
+// pending -> fulfilling -> paid -> refunded, or pending -> cancelled. An order
+// is fulfilling from the moment its payment arrives until its tickets are
+// issued. A paid order with only some seats refunded stays paid.
+const orderSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+    holdId: { type: mongoose.Schema.Types.ObjectId, ref: "SeatHold", required: true },
+    quoteId: { type: mongoose.Schema.Types.ObjectId, ref: "Quote" },
+    items: [orderItemSchema],
+    amount: { type: Number, required: true },
+    refundedAmount: { type: Number, default: 0 },
+    status: { type: String, enum: ["pending", "fulfilling", "paid", "cancelled", "refunded"], default: "pending" },
+    provider: { type: String, required: true },
+    providerRef: { type: String },
+    refunds: [
+      {
+        _id: false,
+        refundRef: String,
+        amount: Number,
+        seatIds: [String],
+        reason: String,
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    history: [{ _id: false, status: String, note: String, at: { type: Date, default: Date.now } }],
+    expiresAt: { type: Date }, // payment must arrive before the seat hold lapses
+    createdAt: { type: Date, default: Date.now },
+    paidAt: { type: Date },
+    cancelledAt: { type: Date },
+    refundedAt: { type: Date },
+  },
+  { optimisticConcurrency: true }
+);
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ eventId: 1, status: 1 });
+orderSchema.index({ holdId: 1 });
+orderSchema.index({ provider: 1, providerRef: 1 }, { unique: true, partialFilterExpression: { providerRef: { $type: "string" } } });
+
+orderSchema.plugin(auditChanges, { model: "Order", summary: ["eventId", "userId", "status", "amount"] });
+
+const Order = mongoose.models.Order || mongoose.model("Order", orderSchema);
+
+// Emits "fulfilled" with the order once its tickets have been issued
+const orderEvents = new EventEmitter();
+
+class OrderError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Moves an order between states only if nobody else got there first
+const transition = (orderId, from, to, update = {}, note) =>
+  Order.findOneAndUpdate(
+    { _id: orderId, status: from },
+    { ...update, status: to, $push: { history: { status: to, note, at: new Date() } } },
+    { new: true }
+  );
+
+const cancelOrder = async (order, note) => {
+  const cancelled = await transition(order._id, "pending", "cancelled", { cancelledAt: new Date() }, note);
+  if (!cancelled) return Order.findById(order._id);
+
+  await releaseHold({ holdId: cancelled.holdId, userId: cancelled.userId }).catch((err) => {
+    if (!(err instanceof SeatHoldError)) throw err; // hold already gone
+  });
+  await releaseRedemption(cancelled.quoteId);
+  return cancelled;
+};
+
+// Marks the seats refunding, provided the order is still `status` and every
+// one of them is still active. False when another request got there first.
+const claimForRefund = async (order, status, seatIds) => {
+  const result = await Order.updateOne(
+    {
+      _id: order._id,
+      status,
+      items: { $all: seatIds.map((seatId) => ({ $elemMatch: { seatId, status: "active" } })) },
+    },
+    { "items.$[item].status": "refunding" },
+    { arrayFilters: [{ "item.seatId": { $in: seatIds } }] }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Pays claimed seats back, returning them to active if the provider fails so the refund can be retried
+const payRefund = async (order, seatIds, amount) => {
+  if (amount <= 0) return {};
+  try {
+    return await getProvider(order.provider).refund(order, amount);
+  } catch (err) {
+    await Order.updateOne(
+      { _id: order._id },
+      { "items.$[item].status": "active" },
+      { arrayFilters: [{ "item.seatId": { $in: seatIds }, "item.status": "refunding" }] }
+    );
+    throw err;
+  }
+};
+
+// Payment arrived after the hold lapsed, so there are no seats to give: pay it all back
+const refundUnfulfilled = async (order) => {
+  const reason = "seat hold expired before payment";
+  const seatIds = order.items.map((item) => item.seatId);
+  if (!(await claimForRefund(order, "fulfilling", seatIds))) return Order.findById(order._id);
+
+  const refund = await payRefund(order, seatIds, order.amount);
+  const refunded = await Order.findOneAndUpdate(
+    { _id: order._id },
+    {
+      "items.$[].status": "refunded",
+      refundedAmount: order.amount,
+      status: "refunded",
+      refundedAt: new Date(),
+      $push: {
+        refunds: { refundRef: refund.refundRef, amount: order.amount, seatIds, reason },
+        history: { status: "refunded", note: reason, at: new Date() },
+      },
+    },
+    { new: true }
+  );
+  await releaseRedemption(order.quoteId);
+  return refunded;
+};
+
+// Confirms the seats and issues tickets once an order is paid. Safe to call
+// more than once for the same payment: an order left fulfilling by a failed
+// attempt carries on from the step it reached.
+const fulfilOrder = async (orderId, note) => {
+  let order = await transition(orderId, "pending", "fulfilling", { paidAt: new Date() }, note);
+  if (!order) {
+    order = await Order.findById(orderId);
+    if (order?.status !== "fulfilling") return order;
+  }
+
+  if (!(await SeatHold.exists({ _id: order.holdId, status: "confirmed" }))) {
+    try {
+      await confirmHold({ holdId: order.holdId, userId: order.userId });
+    } catch (err) {
+      if (!(err instanceof SeatHoldError)) throw err;
+      return refundUnfulfilled(order);
+    }
+  }
+
+  // Tickets from an earlier attempt are kept; (orderId, seatId) is unique
+  const issued = await mongoose.model("Ticket").find({ orderId: order._id }, "seatId").lean();
+  const missing = order.items.filter((item) => !issued.some((ticket) => ticket.seatId === item.seatId));
+  const tickets = missing.length
+    ? await issueTickets({
+        eventId: order.eventId,
+        attendeeId: order.userId,
+        seatIds: missing.map((item) => item.seatId),
+        holdId: order.holdId,
+        orderId: order._id,
+        prices: Object.fromEntries(missing.map((item) => [item.seatId, item.price])),
+        ticketTypes: Object.fromEntries(missing.map((item) => [item.seatId, item.ticketType])),
+      })
+    : [];
+  [...issued, ...tickets].forEach((ticket) => {
+    order.items.find((item) => item.seatId === ticket.seatId).ticketId = ticket._id;
+  });
+  order.status = "paid";
+  order.history.push({ status: "paid", note });
+  await order.save();
+  orderEvents.emit("fulfilled", order);
+  return order;
+};
+
+// Only paid orders need a payment provider, so a deployment without one can
+// still hand out free tickets
+const paymentProvider = () => {
+  try {
+    return getProvider();
+  } catch (err) {
+    console.error("Payment provider unavailable:", err.message);
+    throw new OrderError(503, "Payments are not available right now. Please try again later.");
+  }
+};
+
+// Holds the seats, prices them and opens a pending order with the payment
+// provider. Seats come from an existing hold, the given seatIds, or a
+// best-available `allocation` request. Free orders are fulfilled straight away.
+const createOrder = async ({ event, userId, seatIds, holdId, allocation, quoteId, ticketTypes, discountCode }) => {
+  let hold;
+  if (holdId) {
+    hold = await findActiveHold(holdId, userId);
+    if (hold.eventId.toString() !== event._id.toString()) {
+      throw new OrderError(400, "Seat hold does not belong to this event.");
+    }
+    if (await Order.exists({ holdId: hold._id, status: "pending" })) {
+      throw new OrderError(409, "An order is already awaiting payment for these seats.");
+    }
+  } else if (allocation) {
+    hold = await holdBestAvailable({ eventId: event._id, userId, request: allocation });
+  } else {
+    hold = await holdSeats({ eventId: event._id, userId, seatIds });
+  }
+
+  let quote;
+  let provider;
+  try {
+    quote = await quoteForBooking({ event, userId, seatIds: hold.seatIds, quoteId, ticketTypes, discountCode });
+    if (quote.total > 0) provider = paymentProvider();
+    await redeemQuote(quote);
+  } catch (err) {
+    if (!holdId) await releaseHold({ holdId: hold._id, userId }).catch(() => {});
+    throw err;
+  }
+
+  const order = await Order.create({
+    userId,
+    eventId: event._id,
+    holdId: hold._id,
+    quoteId: quote._id,
+    items: quote.items.map(({ seatId, section, ticketType, price }) => ({ seatId, section, ticketType, price })),
+    amount: quote.total,
+    provider: provider?.name || "none",
+    expiresAt: hold.expiresAt,
+    history: [{ status: "pending" }],
+  });
+
+  if (order.amount === 0) return { order: await fulfilOrder(order._id, "free order") };
+
+  try {
+    const payment = await provider.createPayment(order);
+    order.providerRef = payment.providerRef;
+    await order.save();
+    return { order, payment };
+  } catch (err) {
+    await cancelOrder(order, "payment could not be started");
+    throw err;
+  }
+};
+
+// Refunds some or all of a paid order's seats, voids their tickets and puts
+// the seats back on sale. `amount` defaults to what was paid for those seats.
+const refundOrder = async ({ order, seatIds, amount, reason }) => {
+  if (order.status !== "paid") throw new OrderError(400, "Only paid orders can be refunded.");
+
+  const items = order.items.filter(
+    (item) => item.status === "active" && (!seatIds || seatIds.includes(item.seatId))
+  );
+  if (items.length === 0 || (seatIds && items.length !== new Set(seatIds).size)) {
+    throw new OrderError(400, "Some seats are not part of this order or have already been refunded.");
+  }
+
+  amount = roundMoney(amount ?? items.reduce((sum, item) => sum + item.price, 0));
+  const refundSeatIds = items.map((item) => item.seatId);
+  if (!(await claimForRefund(order, "paid", refundSeatIds))) {
+    throw new OrderError(409, "These seats are already being refunded.");
+  }
+  const refund = await payRefund(order, refundSeatIds, amount);
+
+  const Ticket = mongoose.model("Ticket");
+  const ticketIds = items.map((item) => item.ticketId);
+  const tickets = await Ticket.find({ _id: { $in: ticketIds } }, "seatId attendeeId").lean();
+  await Ticket.updateMany({ _id: { $in: ticketIds } }, { status: "void" });
+  for (const ticket of tickets) {
+    await releaseSeats({ eventId: order.eventId, seatIds: [ticket.seatId], attendeeId: ticket.attendeeId });
+  }
+
+  // Other seats of the same order may be refunded alongside, so only touch these
+  const settled = await Order.findOneAndUpdate(
+    { _id: order._id },
+    {
+      "items.$[item].status": "refunded",
+      $inc: { refundedAmount: amount },
+      $push: { refunds: { refundRef: refund.refundRef, amount, seatIds: refundSeatIds, reason } },
+    },
+    { new: true, arrayFilters: [{ "item.seatId": { $in: refundSeatIds } }] }
+  );
+  if (settled.items.some((item) => item.status !== "refunded")) return settled;
+  const refunded = await transition(order._id, "paid", "refunded", { refundedAt: new Date() }, reason);
+  return refunded || Order.findById(order._id);
+};
+
+const handleWebhook = async (providerName, req) => {
+  const provider = getProvider(providerName);
+  let notification;
+  try {
+    notification = provider.verifyWebhook(req);
+  } catch (err) {
+    throw new OrderError(400, err.message);
+  }
+
+  const order = await Order.findOne({ provider: provider.name, providerRef: notification.providerRef });
+  if (!order) throw new OrderError(404, "No order matches this payment");
+
+  switch (notification.type) {
+    case "payment.succeeded":
+      return fulfilOrder(order._id, "payment succeeded");
+    case "payment.failed":
+      return cancelOrder(order, "payment failed");
+    default:
+      return order; // refunds are recorded when they are requested
+  }
+};
+
+// An unpaid order can't outlive the hold on its seats
+holdEvents.on("expired", (hold) => {
+  Order.findOne({ holdId: hold._id, status: "pending" })
+    .then((order) => order && cancelOrder(order, "seat hold expired"))
+    .catch((err) => console.error("Failed to cancel expired order:", err.message));
+});
+
+module.exports = {
+  Order,
+  OrderError,
+  orderEvents,
+  createOrder,
+  cancelOrder,
+  fulfilOrder,
+  refundOrder,
+  handleWebhook,
+};
@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+
+// Every payment provider adapter implements:
+//   name
+//   createPayment(order)          -> { providerRef, status, nextAction }
+//   refund(order, amount)         -> { refundRef, status: "succeeded" | "pending" }
+//   verifyWebhook(req)            -> { type, providerRef, refundRef } or throws
+// where webhook `type` is one of "payment.succeeded", "payment.failed" or
+// "refund.succeeded". Adapters receive the raw request so they can check
+// signatures against req.rawBody.
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  ["name", "createPayment", "refund", "verifyWebhook"].forEach((key) => {
+    if (!provider[key]) throw new Error(`Payment provider is missing ${key}`);
+  });
+  providers.set(provider.name, provider);
+  return provider;
+};
+
+// PAYMENT_PROVIDER has no default, so a deployment never falls back to the mock
+const getProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) throw new Error("PAYMENT_PROVIDER is not set");
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+  return provider;
+};
+
+// Local provider for development and tests. Payments stay pending until a
+// webhook is simulated for them; refunds succeed straight away. Anyone who can
+// sign its webhooks can mark orders paid, so it only exists with
+// MOCK_PAYMENTS=true and a MOCK_WEBHOOK_SECRET, and never in production.
+const mockPaymentsEnabled = process.env.MOCK_PAYMENTS === "true" && process.env.NODE_ENV !== "production";
+
+const mockWebhookSecret = process.env.MOCK_WEBHOOK_SECRET;
+if (mockPaymentsEnabled && !mockWebhookSecret) throw new Error("MOCK_PAYMENTS needs MOCK_WEBHOOK_SECRET");
+
+const signMockPayload = (body) => crypto.createHmac("sha256", mockWebhookSecret).update(body).digest("hex");
+
+const mockProvider = {
+  name: "mock",
+
+  async createPayment(order) {
+    return {
+      providerRef: `mock_pay_${crypto.randomBytes(12).toString("hex")}`,
+      status: "pending",
+      nextAction: { type: "simulate", amount: order.amount },
+    };
+  },
+
+  async refund(order, amount) {
+    return { refundRef: `mock_ref_${crypto.randomBytes(12).toString("hex")}`, status: "succeeded", amount };
+  },
+
+  verifyWebhook(req) {
+    const body = req.rawBody ? req.rawBody.toString() : JSON.stringify(req.body);
+    const expected = Buffer.from(signMockPayload(body));
+    const given = Buffer.from(String(req.headers["x-mock-signature"] || ""));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw new Error("Invalid webhook signature");
+    }
+    const { type, data = {} } = req.body;
+    return { type, providerRef: data.providerRef, refundRef: data.refundRef };
+  },
+
+  // Builds the signed webhook request the real provider would have sent
+  simulateWebhook(providerRef, outcome) {
+    const body = JSON.stringify({
+      id: `mock_evt_${crypto.randomBytes(8).toString("hex")}`,
+      type: outcome === "failed" ? "payment.failed" : "payment.succeeded",
+      data: { providerRef },
+    });
+    return {
+      headers: { "x-mock-signature": signMockPayload(body) },
+      body: JSON.parse(body),
+      rawBody: Buffer.from(body),
+    };
+  },
+};
+
+if (mockPaymentsEnabled) registerProvider(mockProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  mockPaymentsEnabled,
+  mockProvider,
+};
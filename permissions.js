@@ -0,0 +1,131 @@
+const mongoose = require("mongoose");
+
+const ROLES = ["Admin", "Attendee", "Event Organizer", "Staff"];
+
+// What each role in userSchema is allowed to do. Organizer permissions on an
+// event also need requireEventOwnership unless the user holds a bypass permission.
+const ROLE_PERMISSIONS = {
+  Attendee: ["bookings:create"],
+  "Event Organizer": [
+    "events:create",
+    "events:update",
+    "events:delete",
+    "events:cancel",
+    "venues:manage",
+    "pricing:manage",
+    "orders:refund",
+    "seats:override",
+    "evacuation:view",
+    "checkin:view",
+    "occupancy:view",
+    "occupancy:configure",
+    "waitlist:view",
+    "analytics:view",
+    "staff:manage",
+    "incidents:report",
+    "incidents:export",
+    "audit:view",
+  ],
+  // Staff reach an event's check-in, monitoring and incidents only once assigned to it (requireEventStaff)
+  Staff: ["checkin:scan", "checkin:view", "occupancy:view", "incidents:report"],
+  Admin: [
+    "bookings:create",
+    "events:create",
+    "events:update",
+    "events:delete",
+    "events:cancel",
+    "venues:manage",
+    "pricing:manage",
+    "orders:refund",
+    "seats:override",
+    "evacuation:view",
+    "checkin:view",
+    "occupancy:view",
+    "occupancy:configure",
+    "waitlist:view",
+    "analytics:view",
+    "staff:manage",
+    "incidents:report",
+    "incidents:export",
+    "audit:view",
+    "events:manage-any",
+    "venues:manage-any",
+    "events:monitor-any",
+    "analytics:view-any",
+    "audit:view-any",
+    "notifications:manage",
+    "users:manage",
+  ],
+};
+
+const hasPermission = (user, permission) => (ROLE_PERMISSIONS[user?.role] || []).includes(permission);
+
+// Route guard: the caller needs every listed permission. Use after authMiddleware.
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({ message: `Access denied: requires ${missing.join(", ")}`, code: "PERMISSION_DENIED" });
+  }
+  next();
+};
+
+// Events and venues both record their owner as organizerId
+const ownsEvent = (doc, user) => doc.organizerId?.toString() === user?.id;
+
+// Loads req[key] from the `param` route parameter and only lets its organizer
+// through, or users holding one of the `bypass` permissions, or for whom `allow`
+// resolves true
+const requireOwnership = ({ model, param, key, bypass, projection, allow, deniedMessage }) => async (req, res, next) => {
+  const label = key.toLowerCase();
+  try {
+    const doc = await mongoose.model(model).findById(req.params[param], projection);
+    if (!doc) return res.status(404).json({ message: `${model} not found` });
+
+    const permitted =
+      ownsEvent(doc, req.user) ||
+      bypass.some((permission) => hasPermission(req.user, permission)) ||
+      (allow && (await allow(doc, req.user)));
+    if (!permitted) {
+      return res
+        .status(403)
+        .json({ message: deniedMessage || `Access denied: you do not manage this ${label}`, code: "NOT_OWNER" });
+    }
+
+    req[key] = doc;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Sets req.event. Use after validateObjectId.
+const requireEventOwnership = ({ bypass = ["events:manage-any"], projection } = {}) =>
+  requireOwnership({ model: "Event", param: "eventId", key: "event", bypass, projection });
+
+// Like requireEventOwnership, but also lets in Staff assigned to the event
+const requireEventStaff = ({ bypass = ["events:manage-any", "events:monitor-any"], projection = "organizerId" } = {}) =>
+  requireOwnership({
+    model: "Event",
+    param: "eventId",
+    key: "event",
+    bypass,
+    projection,
+    allow: async (event, user) =>
+      user?.role === "Staff" && Boolean(await mongoose.model("StaffAssignment").exists({ eventId: event._id, staffId: user.id })),
+    deniedMessage: "Access denied: you are not assigned to this event",
+  });
+
+// Sets req.venue. Use after the venueId has been validated.
+const requireVenueOwnership = ({ bypass = ["venues:manage-any"], projection } = {}) =>
+  requireOwnership({ model: "Venue", param: "venueId", key: "venue", bypass, projection });
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  requirePermission,
+  ownsEvent,
+  requireEventOwnership,
+  requireEventStaff,
+  requireVenueOwnership,
+};
@@ -0,0 +1,388 @@
+const mongoose = require("mongoose");
+const { sectionOf } = require("./tickets");
+
+const QUOTE_TTL_MS = (parseInt(process.env.QUOTE_MINUTES, 10) || 15) * 60 * 1000;
+const DEFAULT_TICKET_TYPE = { name: "adult", multiplier: 1, sections: [] };
+
+const discountCodeSchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  code: { type: String, required: true, uppercase: true, trim: true },
+  type: { type: String, enum: ["percent", "fixed"], required: true },
+  value: { type: Number, required: true, min: 0 },
+  maxUses: { type: Number, min: 1 }, // unlimited when unset
+  perUserLimit: { type: Number, min: 1, default: 1 }, // unlimited when cleared to null
+  usedCount: { type: Number, default: 0 },
+  validFrom: { type: Date },
+  validUntil: { type: Date },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+discountCodeSchema.index({ eventId: 1, code: 1 }, { unique: true });
+
+const discountRedemptionSchema = new mongoose.Schema({
+  codeId: { type: mongoose.Schema.Types.ObjectId, ref: "DiscountCode", required: true },
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  quoteId: { type: mongoose.Schema.Types.ObjectId, ref: "Quote" },
+  amount: { type: Number, required: true },
+  // Which of the user's perUserLimit uses this is. Unique per code and user, so
+  // two bookings at once can't both take the last one.
+  slot: { type: Number, min: 1 },
+  redeemedAt: { type: Date, default: Date.now },
+});
+discountRedemptionSchema.index({ codeId: 1, userId: 1 });
+discountRedemptionSchema.index(
+  { codeId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+
+const quoteItemSchema = new mongoose.Schema(
+  {
+    seatId: String,
+    section: String,
+    ticketType: String,
+    basePrice: Number,
+    tierDiscount: Number,
+    discount: Number,
+    price: Number,
+  },
+  { _id: false }
+);
+
+// Quotes are stored so booking charges exactly what the user was shown
+const quoteSchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  items: [quoteItemSchema],
+  tier: { type: String },
+  subtotal: { type: Number, required: true },
+  discountCode: { type: String },
+  discountCodeId: { type: mongoose.Schema.Types.ObjectId, ref: "DiscountCode" },
+  discountAmount: { type: Number, default: 0 },
+  total: { type: Number, required: true },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+quoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const DiscountCode = mongoose.models.DiscountCode || mongoose.model("DiscountCode", discountCodeSchema);
+const DiscountRedemption =
+  mongoose.models.DiscountRedemption || mongoose.model("DiscountRedemption", discountRedemptionSchema);
+const Quote = mongoose.models.Quote || mongoose.model("Quote", quoteSchema);
+
+class PricingError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const parseJsonField = (value, field) => {
+  if (value === undefined || value === "") return undefined;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new PricingError(400, `Invalid ${field} format.`);
+  }
+};
+
+const nonNegative = (value, field) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) throw new PricingError(400, `${field} must be a non-negative number.`);
+  return number;
+};
+
+// Reads the pricing fields of an event from a request body. Multipart requests
+// send the arrays as JSON strings; section prices may also come on seatSections.
+const parsePricing = (body, seatSections = []) => {
+  const pricing = {};
+
+  if (body.ticketPrice !== undefined && body.ticketPrice !== "") {
+    pricing.ticketPrice = nonNegative(body.ticketPrice, "ticketPrice");
+  }
+
+  const sectionPrices = parseJsonField(body.sectionPrices, "sectionPrices") ||
+    seatSections
+      .filter((section) => section.price !== undefined)
+      .map((section) => ({ sectionName: section.sectionName, price: section.price }));
+  if (!Array.isArray(sectionPrices)) throw new PricingError(400, "Invalid sectionPrices format.");
+  if (sectionPrices.length > 0 || body.sectionPrices !== undefined) {
+    pricing.sectionPrices = sectionPrices.map((entry) => ({
+      sectionName: String(entry.sectionName),
+      price: nonNegative(entry.price, `Price for section ${entry.sectionName}`),
+    }));
+  }
+
+  const ticketTypes = parseJsonField(body.ticketTypes, "ticketTypes");
+  if (ticketTypes !== undefined) {
+    if (!Array.isArray(ticketTypes)) throw new PricingError(400, "Invalid ticketTypes format.");
+    pricing.ticketTypes = ticketTypes.map((type) => {
+      if (!type.name) throw new PricingError(400, "Every ticket type needs a name.");
+      return {
+        name: String(type.name).toLowerCase(),
+        multiplier: type.multiplier === undefined ? 1 : nonNegative(type.multiplier, `Multiplier for ${type.name}`),
+        sections: Array.isArray(type.sections) ? type.sections.map(String) : [],
+      };
+    });
+  }
+
+  const priceTiers = parseJsonField(body.priceTiers, "priceTiers");
+  if (priceTiers !== undefined) {
+    if (!Array.isArray(priceTiers)) throw new PricingError(400, "Invalid priceTiers format.");
+    pricing.priceTiers = priceTiers.map((tier) => {
+      const endsAt = new Date(tier.endsAt);
+      const percentOff = nonNegative(tier.percentOff, `percentOff for ${tier.name}`);
+      if (isNaN(endsAt)) throw new PricingError(400, `Tier ${tier.name} needs a valid endsAt date.`);
+      if (percentOff > 100) throw new PricingError(400, "percentOff cannot exceed 100.");
+      return { name: String(tier.name || "early bird"), endsAt, percentOff };
+    });
+  }
+
+  return pricing;
+};
+
+// Earliest tier that hasn't ended yet, e.g. "early bird" before "regular"
+const activeTier = (event, now) =>
+  [...(event.priceTiers || [])]
+    .sort((a, b) => new Date(a.endsAt) - new Date(b.endsAt))
+    .find((tier) => new Date(tier.endsAt) > now);
+
+const sectionPrice = (event, section) => {
+  const entry = (event.sectionPrices || []).find((price) => price.sectionName === section);
+  return entry ? entry.price : event.ticketPrice || 0;
+};
+
+// Cheapest and dearest section price before tier or code discounts
+const basePriceRange = (event) => {
+  const sections = [...new Set((event.seatingLayout || []).map((seat) => sectionOf(seat.id)))];
+  const prices = sections.length > 0 ? sections.map((section) => sectionPrice(event, section)) : [event.ticketPrice || 0];
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+};
+
+// What one seat in the section costs right now with the default ticket type
+const listPrice = (event, section, now = new Date()) => {
+  const types = event.ticketTypes?.length ? event.ticketTypes : [DEFAULT_TICKET_TYPE];
+  const tier = activeTier(event, now);
+  const basePrice = roundMoney(sectionPrice(event, section) * types[0].multiplier);
+  return roundMoney(basePrice - (tier ? (basePrice * tier.percentOff) / 100 : 0));
+};
+
+const resolveTicketType = (event, name, section) => {
+  const types = event.ticketTypes?.length ? event.ticketTypes : [DEFAULT_TICKET_TYPE];
+  const type = name ? types.find((candidate) => candidate.name === String(name).toLowerCase()) : types[0];
+  if (!type) throw new PricingError(400, `Unknown ticket type: ${name}`);
+  if (type.sections?.length && !type.sections.includes(section)) {
+    throw new PricingError(400, `${type.name} tickets are not sold in section ${section}.`);
+  }
+  return type;
+};
+
+// How many more times a user who has redeemed the code `used` times may use it
+const userUsesLeft = (code, used) => (code.perUserLimit == null ? Infinity : code.perUserLimit - used);
+
+// Throws unless the code can be used by this user right now
+const loadDiscountCode = async (eventId, code, userId, now) => {
+  const discount = await DiscountCode.findOne({ eventId, code: String(code).trim().toUpperCase() });
+  if (!discount || !discount.active) throw new PricingError(400, "Discount code is not valid for this event.");
+  if ((discount.validFrom && discount.validFrom > now) || (discount.validUntil && discount.validUntil < now)) {
+    throw new PricingError(400, "Discount code is not currently valid.");
+  }
+  if (discount.maxUses && discount.usedCount >= discount.maxUses) {
+    throw new PricingError(400, "Discount code has been fully redeemed.");
+  }
+  const usedByUser = await DiscountRedemption.countDocuments({ codeId: discount._id, userId });
+  if (userUsesLeft(discount, usedByUser) <= 0) {
+    throw new PricingError(400, "You have already used this discount code.");
+  }
+  return discount;
+};
+
+// Itemized price for a set of seats. `ticketTypes` maps seatId to a ticket type
+// name, or is one name for every seat (e.g. when the seats were auto-allocated).
+const priceSeats = async ({ event, userId, seatIds, ticketTypes = {}, discountCode, now = new Date() }) => {
+  if (!Array.isArray(seatIds) || seatIds.length === 0) {
+    throw new PricingError(400, "seatIds must be a non-empty array.");
+  }
+
+  const unknown = seatIds.filter((seatId) => !event.seatingLayout.some((seat) => seat.id === seatId));
+  if (unknown.length > 0) throw new PricingError(400, `Unknown seats: ${unknown.join(", ")}`);
+
+  const tier = activeTier(event, now);
+  const items = seatIds.map((seatId) => {
+    const section = sectionOf(seatId);
+    const typeName = typeof ticketTypes === "string" ? ticketTypes : ticketTypes[seatId];
+    const type = resolveTicketType(event, typeName, section);
+    const basePrice = roundMoney(sectionPrice(event, section) * type.multiplier);
+    const tierDiscount = tier ? roundMoney((basePrice * tier.percentOff) / 100) : 0;
+    return {
+      seatId,
+      section,
+      ticketType: type.name,
+      basePrice,
+      tierDiscount,
+      discount: 0,
+      price: roundMoney(basePrice - tierDiscount),
+    };
+  });
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.price, 0));
+  let discount = null;
+  let discountAmount = 0;
+  if (discountCode) {
+    discount = await loadDiscountCode(event._id, discountCode, userId, now);
+    discountAmount = roundMoney(
+      Math.min(subtotal, discount.type === "percent" ? (subtotal * discount.value) / 100 : discount.value)
+    );
+
+    // Spread the code's discount over the seats so each ticket records what was paid for it
+    let remaining = discountAmount;
+    items.forEach((item, index) => {
+      const share =
+        index === items.length - 1 ? remaining : roundMoney(subtotal ? (discountAmount * item.price) / subtotal : 0);
+      item.discount = Math.min(share, item.price);
+      item.price = roundMoney(item.price - item.discount);
+      remaining = roundMoney(remaining - item.discount);
+    });
+  }
+
+  return {
+    eventId: event._id,
+    userId,
+    items,
+    tier: tier?.name,
+    subtotal,
+    discountCode: discount?.code,
+    discountCodeId: discount?._id,
+    discountAmount,
+    total: roundMoney(subtotal - discountAmount),
+  };
+};
+
+const createQuote = async (params) => {
+  const priced = await priceSeats(params);
+  return Quote.create({ ...priced, expiresAt: new Date(Date.now() + QUOTE_TTL_MS) });
+};
+
+// The quote a booking will charge: the one the user asked for, or a fresh one
+const quoteForBooking = async ({ event, userId, seatIds, quoteId, ticketTypes, discountCode }) => {
+  if (!quoteId) return createQuote({ event, userId, seatIds, ticketTypes, discountCode });
+
+  const quote = await Quote.findOne({ _id: quoteId, userId, eventId: event._id });
+  if (!quote || quote.expiresAt <= new Date()) {
+    throw new PricingError(410, "Quote has expired. Please request a new quote.");
+  }
+  const quotedSeats = quote.items.map((item) => item.seatId).sort();
+  if (quotedSeats.join() !== [...seatIds].sort().join()) {
+    throw new PricingError(400, "Quote does not match the selected seats.");
+  }
+  return quote;
+};
+
+// Records the redemption in one of the user's free slots, or returns null when
+// they have used them all. Redemptions from before slots count against the limit.
+// Without a per-user limit there is nothing to claim, so no slot is recorded.
+const claimUserSlot = async (code, quote) => {
+  const redemption = {
+    codeId: code._id,
+    eventId: quote.eventId,
+    userId: quote.userId,
+    quoteId: quote._id,
+    amount: quote.discountAmount,
+  };
+  if (code.perUserLimit == null) return DiscountRedemption.create(redemption);
+
+  const existing = await DiscountRedemption.find({ codeId: code._id, userId: quote.userId }, "slot").lean();
+  const used = new Set(existing.map((redemption) => redemption.slot));
+  const available = userUsesLeft(code, existing.filter((redemption) => redemption.slot === undefined).length);
+
+  for (let slot = 1; slot <= available; slot++) {
+    if (used.has(slot)) continue;
+    try {
+      return await DiscountRedemption.create({ ...redemption, slot });
+    } catch (err) {
+      // Taken by a booking running alongside this one; try the next
+      if (err.code !== 11000) throw err;
+    }
+  }
+  return null;
+};
+
+// Counts a use of the quote's discount code against its limits
+const redeemQuote = async (quote) => {
+  if (!quote.discountCodeId) return;
+
+  const claimed = await DiscountCode.findOneAndUpdate(
+    {
+      _id: quote.discountCodeId,
+      active: true,
+      $or: [{ maxUses: null }, { $expr: { $lt: ["$usedCount", "$maxUses"] } }],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (!claimed) throw new PricingError(400, "Discount code has been fully redeemed.");
+
+  let redemption;
+  try {
+    redemption = await claimUserSlot(claimed, quote);
+  } finally {
+    if (!redemption) await DiscountCode.updateOne({ _id: claimed._id }, { $inc: { usedCount: -1 } });
+  }
+  if (!redemption) throw new PricingError(400, "You have already used this discount code.");
+};
+
+// Gives the code use back when the booking it was redeemed for falls through
+const releaseRedemption = async (quoteId) => {
+  const redemption = await DiscountRedemption.findOneAndDelete({ quoteId });
+  if (redemption) await DiscountCode.updateOne({ _id: redemption.codeId }, { $inc: { usedCount: -1 } });
+};
+
+const pricesBySeat = (quote) => Object.fromEntries(quote.items.map((item) => [item.seatId, item.price]));
+
+const parseDiscountCode = (body) => {
+  const code = {};
+  if (body.code !== undefined) code.code = String(body.code);
+  if (body.type !== undefined) {
+    if (!["percent", "fixed"].includes(body.type)) throw new PricingError(400, "type must be percent or fixed.");
+    code.type = body.type;
+  }
+  if (body.value !== undefined) code.value = nonNegative(body.value, "value");
+  if (code.type === "percent" && code.value > 100) throw new PricingError(400, "A percent discount cannot exceed 100.");
+  ["maxUses", "perUserLimit"].forEach((field) => {
+    if (body[field] === undefined) return;
+    if (body[field] === null) return (code[field] = null);
+    const number = Number(body[field]);
+    if (!Number.isInteger(number) || number < 1) throw new PricingError(400, `${field} must be a positive integer.`);
+    code[field] = number;
+  });
+  ["validFrom", "validUntil"].forEach((field) => {
+    if (body[field] === undefined) return;
+    if (body[field] === null) return (code[field] = null);
+    const date = new Date(body[field]);
+    if (isNaN(date)) throw new PricingError(400, `${field} must be a valid date.`);
+    code[field] = date;
+  });
+  if (body.active !== undefined) code.active = Boolean(body.active);
+  return code;
+};
+
+module.exports = {
+  DiscountCode,
+  DiscountRedemption,
+  Quote,
+  PricingError,
+  parsePricing,
+  parseDiscountCode,
+  userUsesLeft,
+  basePriceRange,
+  listPrice,
+  priceSeats,
+  createQuote,
+  quoteForBooking,
+  redeemQuote,
+  releaseRedemption,
+  pricesBySeat,
+};
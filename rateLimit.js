@@ -0,0 +1,181 @@
+const mongoose = require("mongoose");
+
+// Fixed-window request limits. Each named limit allows `max` requests per
+// `windowMs`, counted per client: by IP, or by the signed-in user ("user",
+// which falls back to the IP for anonymous requests). Any limit can be
+// changed without a deploy through RATE_LIMITS, e.g.
+//   RATE_LIMITS='{"login":{"max":10},"booking":{"windowMs":30000,"by":"user"}}'
+const DEFAULT_LIMITS = {
+  login: { windowMs: 15 * 60 * 1000, max: 20, by: "ip" },
+  register: { windowMs: 60 * 60 * 1000, max: 10, by: "ip" },
+  passwordReset: { windowMs: 15 * 60 * 1000, max: 5, by: "ip" },
+  // Holds, quotes, bookings and waitlist joins, per user per event
+  booking: { windowMs: 60 * 1000, max: 10, by: "user" },
+};
+
+const KEYED_BY = ["ip", "user"];
+
+const readOverrides = () => {
+  if (!process.env.RATE_LIMITS) return {};
+  try {
+    return JSON.parse(process.env.RATE_LIMITS);
+  } catch (err) {
+    throw new Error("RATE_LIMITS must be valid JSON");
+  }
+};
+
+const loadLimits = () => {
+  const overrides = readOverrides();
+  const names = new Set([...Object.keys(DEFAULT_LIMITS), ...Object.keys(overrides)]);
+  return Object.fromEntries(
+    [...names].map((name) => {
+      const limit = { ...DEFAULT_LIMITS[name], ...overrides[name] };
+      if (!(Number.isInteger(limit.max) && limit.max > 0) || !(Number.isInteger(limit.windowMs) && limit.windowMs > 0)) {
+        throw new Error(`Rate limit ${name} needs whole-number max and windowMs`);
+      }
+      if (!KEYED_BY.includes(limit.by)) throw new Error(`Rate limit ${name}: by must be one of ${KEYED_BY.join(", ")}`);
+      return [name, limit];
+    })
+  );
+};
+
+const limits = loadLimits();
+
+// Every store implements:
+//   name
+//   increment(key, windowMs) -> { count, resetAt }   counts this request
+//   reset(key)                                        forgets the key
+// increment starts a new window of windowMs when the key's window has run out.
+// The memory store only counts requests seen by this process; run a shared
+// store when the API is served by more than one.
+const stores = new Map();
+
+const registerRateLimitStore = (store) => {
+  ["name", "increment", "reset"].forEach((key) => {
+    if (!store[key]) throw new Error(`Rate limit store is missing ${key}`);
+  });
+  stores.set(store.name, store);
+  return store;
+};
+
+const getRateLimitStore = (name = process.env.RATE_LIMIT_STORE || "memory") => {
+  const store = stores.get(name);
+  if (!store) throw new Error(`Unknown rate limit store: ${name}`);
+  return store;
+};
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const counters = new Map();
+const memoryStore = {
+  name: "memory",
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(key, counter);
+    }
+    counter.count += 1;
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  },
+
+  async reset(key) {
+    counters.delete(key);
+  },
+};
+
+setInterval(() => {
+  const now = Date.now();
+  counters.forEach((counter, key) => {
+    if (counter.resetAt <= now) counters.delete(key);
+  });
+}, SWEEP_INTERVAL_MS).unref();
+
+// Shared between every instance using the same database. Expired windows are
+// dropped by the TTL index.
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, required: true },
+  resetAt: { type: Date, required: true },
+});
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter =
+  mongoose.models.RateLimitCounter || mongoose.model("RateLimitCounter", rateLimitCounterSchema);
+
+const mongoStore = {
+  name: "mongo",
+
+  // One atomic update: a live window counts up, an expired or missing one starts again at 1
+  async increment(key, windowMs) {
+    const now = new Date();
+    const live = { $gt: ["$resetAt", now] };
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [live, { $add: ["$count", 1] }, 1] },
+            resetAt: { $cond: [live, "$resetAt", new Date(now.getTime() + windowMs)] },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    ).lean();
+    return { count: counter.count, resetAt: counter.resetAt };
+  },
+
+  async reset(key) {
+    await RateLimitCounter.deleteOne({ key });
+  },
+};
+
+registerRateLimitStore(memoryStore);
+registerRateLimitStore(mongoStore);
+
+const clientKey = (req, by) => (by === "user" && req.user ? `user:${req.user.id}` : `ip:${req.ip}`);
+
+// Middleware for the named limit. `scope` narrows the count further, e.g. to
+// the event being booked. Sets the RateLimit-* headers on every response and
+// answers 429 with Retry-After once the limit is used up. If the store can't
+// be reached the request goes through: an outage shouldn't lock everyone out.
+const rateLimit = (name, { scope } = {}) => {
+  const limit = limits[name];
+  if (!limit) throw new Error(`Unknown rate limit: ${name}`);
+
+  return async (req, res, next) => {
+    const parts = [name, clientKey(req, limit.by), scope && scope(req)].filter(Boolean);
+    let usage;
+    try {
+      usage = await getRateLimitStore().increment(parts.join(":"), limit.windowMs);
+    } catch (err) {
+      console.error(`Rate limit ${name} skipped:`, err.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((usage.resetAt.getTime() - Date.now()) / 1000));
+    res.set({
+      "RateLimit-Policy": `${limit.max};w=${limit.windowMs / 1000}`,
+      "RateLimit-Limit": String(limit.max),
+      "RateLimit-Remaining": String(Math.max(0, limit.max - usage.count)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+    if (usage.count > limit.max) {
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({ message: `Too many requests. Try again in ${resetSeconds} seconds.` });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMITS,
+  limits,
+  registerRateLimitStore,
+  getRateLimitStore,
+  memoryStore,
+  mongoStore,
+  rateLimit,
+};
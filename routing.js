@@ -0,0 +1,258 @@
+const { sectionOf } = require("./tickets");
+
+// Walking across a row of seats is slower than walking down an aisle
+const AISLE_COST = 1;
+const SEAT_COST = 3;
+
+// How far outside the seats an entrance or exit may be. The grid never grows
+// past this, so a stray point can't make it huge; gates further out are
+// walked from the nearest edge cell.
+const GATE_MARGIN = 10;
+
+// generateSeats numbers rows from 1 in every section, so sections are stacked
+// top to bottom on the venue grid, in layout order, with an aisle row between
+// them. Entrance and exit {row, col} points are read on that same grid.
+const seatGrid = (seatingLayout) => {
+  const positions = new Map();
+  const sectionOffsets = new Map();
+  let nextOffset = 0;
+
+  seatingLayout.forEach((seat) => {
+    const section = sectionOf(seat.id);
+    if (!sectionOffsets.has(section)) {
+      sectionOffsets.set(section, nextOffset);
+      const sectionRows = seatingLayout
+        .filter((other) => sectionOf(other.id) === section)
+        .reduce((max, other) => Math.max(max, other.row), 0);
+      nextOffset += sectionRows + 1;
+    }
+    positions.set(seat.id, { row: sectionOffsets.get(section) + seat.row, col: seat.column });
+  });
+
+  return positions;
+};
+
+// Minimal binary heap keyed on distance, for Dijkstra
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].dist <= items[i].dist) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].dist < items[smallest].dist) smallest = left;
+        if (right < items.length && items[right].dist < items[smallest].dist) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Seat extent plus GATE_MARGIN on every side
+const gridBounds = (positions) => {
+  const points = positions.size > 0 ? [...positions.values()] : [{ row: 0, col: 0 }];
+  return {
+    minRow: Math.min(...points.map((p) => p.row)) - GATE_MARGIN,
+    minCol: Math.min(...points.map((p) => p.col)) - GATE_MARGIN,
+    maxRow: Math.max(...points.map((p) => p.row)) + GATE_MARGIN,
+    maxCol: Math.max(...points.map((p) => p.col)) + GATE_MARGIN,
+  };
+};
+
+const withinBounds = (point, { minRow, minCol, maxRow, maxCol }) =>
+  point.row >= minRow && point.row <= maxRow && point.col >= minCol && point.col <= maxCol;
+
+// The grid covers every seat and the walkway around them, and every gate
+// inside that; gates outside it are moved onto its edge
+const buildGrid = (positions, gates) => {
+  const bounds = gridBounds(positions);
+  const inside = gates.filter((gate) => withinBounds(gate, bounds));
+  const points = [...positions.values(), ...inside];
+  const minRow = Math.max(bounds.minRow, Math.min(...points.map((p) => p.row)) - 1);
+  const minCol = Math.max(bounds.minCol, Math.min(...points.map((p) => p.col)) - 1);
+  const maxRow = Math.min(bounds.maxRow, Math.max(...points.map((p) => p.row)) + 1);
+  const maxCol = Math.min(bounds.maxCol, Math.max(...points.map((p) => p.col)) + 1);
+  const width = maxCol - minCol + 1;
+  const height = maxRow - minRow + 1;
+
+  const seatCells = new Set();
+  positions.forEach((p) => seatCells.add((p.row - minRow) * width + (p.col - minCol)));
+
+  return {
+    width,
+    height,
+    index: (p) => (p.row - minRow) * width + (p.col - minCol),
+    clamp: (p) => ({
+      row: Math.min(Math.max(p.row, minRow), maxRow),
+      col: Math.min(Math.max(p.col, minCol), maxCol),
+    }),
+    point: (i) => ({ row: Math.floor(i / width) + minRow, col: (i % width) + minCol }),
+    cost: (i) => (seatCells.has(i) ? SEAT_COST : AISLE_COST),
+  };
+};
+
+// Distances from one gate to every cell, with predecessors for path rebuilding
+const walkFrom = (grid, gate) => {
+  const cells = grid.width * grid.height;
+  const dist = new Float64Array(cells).fill(Infinity);
+  const prev = new Int32Array(cells).fill(-1);
+  const start = grid.index(gate);
+  const heap = new MinHeap();
+
+  dist[start] = 0;
+  heap.push({ cell: start, dist: 0 });
+
+  while (heap.size > 0) {
+    const { cell, dist: d } = heap.pop();
+    if (d > dist[cell]) continue;
+
+    const row = Math.floor(cell / grid.width);
+    const col = cell % grid.width;
+    const neighbours = [];
+    if (row > 0) neighbours.push(cell - grid.width);
+    if (row < grid.height - 1) neighbours.push(cell + grid.width);
+    if (col > 0) neighbours.push(cell - 1);
+    if (col < grid.width - 1) neighbours.push(cell + 1);
+
+    neighbours.forEach((next) => {
+      const nd = d + grid.cost(next);
+      if (nd < dist[next]) {
+        dist[next] = nd;
+        prev[next] = cell;
+        heap.push({ cell: next, dist: nd });
+      }
+    });
+  }
+
+  return { dist, prev };
+};
+
+// Path from the seat to the gate, both ends included
+const pathTo = (grid, walk, from) => {
+  const path = [];
+  for (let cell = grid.index(from); cell !== -1; cell = walk.prev[cell]) {
+    path.push(grid.point(cell));
+  }
+  return path;
+};
+
+const prepare = (seatingLayout, gates) => {
+  const positions = seatGrid(seatingLayout);
+  const points = gates.map((gate) => ({ row: gate.row, col: gate.col }));
+  const grid = buildGrid(positions, points);
+  return { positions, points, grid, walks: points.map((gate) => walkFrom(grid, grid.clamp(gate))) };
+};
+
+// Nearest entrance and walking path for each of the given seats
+const routeSeatsToEntrances = (seatingLayout, entrances, seatIds) => {
+  if (!entrances?.length || seatingLayout.length === 0) return [];
+  const { positions, points, grid, walks } = prepare(seatingLayout, entrances);
+
+  return seatIds
+    .filter((seatId) => positions.has(seatId))
+    .map((seatId) => {
+      const seatPoint = positions.get(seatId);
+      const cell = grid.index(seatPoint);
+      let best = 0;
+      walks.forEach((walk, i) => {
+        if (walk.dist[cell] < walks[best].dist[cell]) best = i;
+      });
+
+      return {
+        seatId,
+        gridPosition: seatPoint,
+        entrance: points[best],
+        distance: walks[best].dist[cell],
+        path: pathTo(grid, walks[best], seatPoint),
+      };
+    });
+};
+
+// Walking distance from every seat to its nearest entrance, keyed by seat id
+const entranceDistances = (seatingLayout, entrances) => {
+  const distances = new Map();
+  if (!entrances?.length || seatingLayout.length === 0) return distances;
+  const { positions, grid, walks } = prepare(seatingLayout, entrances);
+
+  positions.forEach((point, seatId) => {
+    const cell = grid.index(point);
+    distances.set(seatId, Math.min(...walks.map((walk) => walk.dist[cell])));
+  });
+  return distances;
+};
+
+// Assign every seat to an exit, keeping each exit's share of seats even.
+// Seats that lose the most by not getting their nearest exit are placed first.
+const evacuationPlan = (seatingLayout, exits, { includePaths = false } = {}) => {
+  if (!exits?.length) return null;
+  const { positions, points, grid, walks } = prepare(seatingLayout, exits);
+  const capacity = Math.ceil(seatingLayout.length / points.length);
+
+  const seats = seatingLayout.map((seat) => {
+    const cell = grid.index(positions.get(seat.id));
+    const ranked = walks
+      .map((walk, exit) => ({ exit, distance: walk.dist[cell] }))
+      .sort((a, b) => a.distance - b.distance);
+    const regret = ranked.length > 1 ? ranked[1].distance - ranked[0].distance : 0;
+    return { seat, ranked, regret };
+  });
+  seats.sort((a, b) => b.regret - a.regret || a.ranked[0].distance - b.ranked[0].distance);
+
+  const assigned = points.map((point) => ({ ...point, seats: [] }));
+  seats.forEach(({ seat, ranked }) => {
+    const choice = ranked.find(({ exit }) => assigned[exit].seats.length < capacity) || ranked[0];
+    const entry = { seatId: seat.id, occupied: seat.occupied, distance: choice.distance };
+    if (includePaths) entry.path = pathTo(grid, walks[choice.exit], positions.get(seat.id));
+    assigned[choice.exit].seats.push(entry);
+  });
+
+  return {
+    totalSeats: seatingLayout.length,
+    exits: assigned.map(({ row, col, seats: exitSeats }) => ({
+      row,
+      col,
+      seatCount: exitSeats.length,
+      occupiedCount: exitSeats.filter((seat) => seat.occupied).length,
+      maxDistance: exitSeats.reduce((max, seat) => Math.max(max, seat.distance), 0),
+      seats: exitSeats.sort((a, b) => a.distance - b.distance),
+    })),
+  };
+};
+
+module.exports = {
+  GATE_MARGIN,
+  seatGrid,
+  gridBounds,
+  withinBounds,
+  routeSeatsToEntrances,
+  entranceDistances,
+  evacuationPlan,
+};
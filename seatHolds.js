@@ -0,0 +1,288 @@
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const { hasAttribute } = require("./seatMaps");
+const { SALES_FIELDS, salesClosedReason } = require("./eventSchedule");
+
+// How long selected seats stay reserved for a user before they are released
+const HOLD_DURATION_MS = (parseInt(process.env.SEAT_HOLD_MINUTES, 10) || 10) * 60 * 1000;
+const MAX_SEATS_PER_USER = 6;
+
+const seatHoldSchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  seatIds: [{ type: String, required: true }],
+  status: { type: String, enum: ["active", "confirmed", "released", "expired"], default: "active" },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+seatHoldSchema.index({ status: 1, expiresAt: 1 });
+seatHoldSchema.index({ eventId: 1, userId: 1, status: 1 });
+
+const SeatHold = mongoose.models.SeatHold || mongoose.model("SeatHold", seatHoldSchema);
+
+// Emits "expired", "released" or "confirmed" with the hold as it settles, and
+// "seatsReleased" with { eventId, seatIds } when booked seats go back on sale
+const holdEvents = new EventEmitter();
+
+// Errors the routes can hand straight back to the client
+class SeatHoldError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// A seat can be held when it is for sale, nobody has booked it and any
+// previous hold has lapsed
+const freeSeat = (seatId, now) => ({
+  $elemMatch: {
+    id: seatId,
+    occupied: false,
+    attributes: { $ne: "blocked" },
+    $or: [{ heldBy: null }, { holdExpiresAt: { $lte: now } }],
+  },
+});
+
+const isHeldBy = (seat, userId, now) =>
+  seat.heldBy?.toString() === userId.toString() && seat.holdExpiresAt > now;
+
+const isUnavailable = (seat, now) =>
+  seat.occupied || hasAttribute(seat, "blocked") || (seat.heldBy && seat.holdExpiresAt > now);
+
+// Booked and currently held seats both count towards the per-user limit
+const countUserSeats = (seatingLayout, userId, now = new Date()) =>
+  seatingLayout.filter(
+    (seat) => seat.attendee?.toString() === userId.toString() || isHeldBy(seat, userId, now)
+  ).length;
+
+// countUserSeats as a query condition, so the limit is checked in the same
+// write that takes the seats and two requests can't both slip under it
+const userSeatsWithin = (userId, max, now) => {
+  const user = new mongoose.Types.ObjectId(String(userId));
+  return {
+    $expr: {
+      $lte: [
+        {
+          $size: {
+            $filter: {
+              input: "$seatingLayout",
+              as: "seat",
+              cond: {
+                $or: [
+                  { $eq: ["$$seat.attendee", user] },
+                  { $and: [{ $eq: ["$$seat.heldBy", user] }, { $gt: ["$$seat.holdExpiresAt", now] }] },
+                ],
+              },
+            },
+          },
+        },
+        max,
+      ],
+    },
+  };
+};
+
+const clearHoldFromSeats = (eventId, holdId) =>
+  mongoose.model("Event").updateOne(
+    { _id: eventId },
+    {
+      $unset: {
+        "seatingLayout.$[seat].holdId": "",
+        "seatingLayout.$[seat].heldBy": "",
+        "seatingLayout.$[seat].holdExpiresAt": "",
+      },
+    },
+    { arrayFilters: [{ "seat.holdId": holdId, "seat.occupied": false }] }
+  );
+
+const holdSeats = async ({ eventId, userId, seatIds, durationMs = HOLD_DURATION_MS }) => {
+  if (!Array.isArray(seatIds) || seatIds.length === 0) {
+    throw new SeatHoldError(400, "seatIds must be a non-empty array.");
+  }
+  seatIds = [...new Set(seatIds.map(String))];
+
+  const Event = mongoose.model("Event");
+  const event = await Event.findById(eventId, `seatingLayout ${SALES_FIELDS}`).lean();
+  if (!event) throw new SeatHoldError(404, "Event not found");
+
+  const now = new Date();
+  const closed = salesClosedReason(event, now);
+  if (closed) throw new SeatHoldError(409, closed);
+
+  const unknownSeats = seatIds.filter((seatId) => !event.seatingLayout.some((seat) => seat.id === seatId));
+  if (unknownSeats.length > 0) {
+    throw new SeatHoldError(400, `Unknown seats: ${unknownSeats.join(", ")}`);
+  }
+
+  const overLimit = (seatingLayout) => countUserSeats(seatingLayout, userId, now) + seatIds.length > MAX_SEATS_PER_USER;
+  const limitError = () => new SeatHoldError(400, `You can only book up to ${MAX_SEATS_PER_USER} seats per event.`);
+  if (overLimit(event.seatingLayout)) throw limitError();
+
+  const requested = event.seatingLayout.filter((seat) => seatIds.includes(seat.id));
+  const blocked = requested.filter((seat) => hasAttribute(seat, "blocked")).map((seat) => seat.id);
+  if (blocked.length > 0) {
+    throw new SeatHoldError(400, `These seats are not for sale: ${blocked.join(", ")}`);
+  }
+
+  // Companion seats go with a wheelchair space, in this request or already the user's
+  const companions = requested.filter((seat) => hasAttribute(seat, "companion")).length;
+  if (companions > 0) {
+    const wheelchairSpaces = event.seatingLayout.filter(
+      (seat) =>
+        hasAttribute(seat, "wheelchair") &&
+        (seatIds.includes(seat.id) || seat.attendee?.toString() === userId.toString() || isHeldBy(seat, userId, now))
+    ).length;
+    if (companions > wheelchairSpaces) {
+      throw new SeatHoldError(400, "Companion seats can only be booked together with a wheelchair space.");
+    }
+  }
+
+  const hold = await SeatHold.create({
+    eventId,
+    userId,
+    seatIds,
+    expiresAt: new Date(now.getTime() + durationMs),
+  });
+
+  // Only succeeds if every requested seat is still free, and the user still
+  // under the limit, at write time
+  const result = await Event.updateOne(
+    {
+      _id: eventId,
+      seatingLayout: { $all: seatIds.map((seatId) => freeSeat(seatId, now)) },
+      ...userSeatsWithin(userId, MAX_SEATS_PER_USER - seatIds.length, now),
+    },
+    {
+      $set: {
+        "seatingLayout.$[seat].holdId": hold._id,
+        "seatingLayout.$[seat].heldBy": userId,
+        "seatingLayout.$[seat].holdExpiresAt": hold.expiresAt,
+      },
+    },
+    { arrayFilters: [{ "seat.id": { $in: seatIds } }] }
+  );
+
+  if (result.modifiedCount === 0) {
+    await SeatHold.deleteOne({ _id: hold._id });
+    const latest = await Event.findById(eventId, "seatingLayout").lean();
+    if (overLimit(latest.seatingLayout)) throw limitError();
+    const taken = seatIds.filter((seatId) =>
+      latest.seatingLayout.some((seat) => seat.id === seatId && isUnavailable(seat, now))
+    );
+    // `taken` lets callers that picked the seats themselves pick again
+    throw Object.assign(new SeatHoldError(400, `Some seats are already booked or held: ${taken.join(", ")}`), { taken });
+  }
+
+  return hold;
+};
+
+const findActiveHold = async (holdId, userId) => {
+  const hold = await SeatHold.findOne({ _id: holdId, userId, status: "active" });
+  if (!hold) throw new SeatHoldError(404, "Seat hold not found");
+  return hold;
+};
+
+const confirmHold = async ({ holdId, userId }) => {
+  const hold = await findActiveHold(holdId, userId);
+  const now = new Date();
+
+  const expire = async () => {
+    await clearHoldFromSeats(hold.eventId, hold._id);
+    hold.status = "expired";
+    await hold.save();
+    holdEvents.emit("expired", hold);
+    return new SeatHoldError(410, "Seat hold has expired. Please select your seats again.");
+  };
+
+  if (hold.expiresAt <= now) throw await expire();
+
+  // Turn held seats into booked seats in one conditional write
+  const result = await mongoose.model("Event").updateOne(
+    {
+      _id: hold.eventId,
+      seatingLayout: {
+        $all: hold.seatIds.map((seatId) => ({
+          $elemMatch: { id: seatId, holdId: hold._id, occupied: false, holdExpiresAt: { $gt: now } },
+        })),
+      },
+    },
+    {
+      $set: {
+        "seatingLayout.$[seat].occupied": true,
+        "seatingLayout.$[seat].attendee": userId,
+      },
+      $unset: {
+        "seatingLayout.$[seat].holdId": "",
+        "seatingLayout.$[seat].heldBy": "",
+        "seatingLayout.$[seat].holdExpiresAt": "",
+      },
+    },
+    { arrayFilters: [{ "seat.holdId": hold._id }] }
+  );
+
+  if (result.modifiedCount === 0) throw await expire();
+
+  hold.status = "confirmed";
+  await hold.save();
+  holdEvents.emit("confirmed", hold);
+  return hold;
+};
+
+const releaseHold = async ({ holdId, userId }) => {
+  const hold = await findActiveHold(holdId, userId);
+  await clearHoldFromSeats(hold.eventId, hold._id);
+  hold.status = "released";
+  await hold.save();
+  holdEvents.emit("released", hold);
+  return hold;
+};
+
+// Puts booked seats back on sale, e.g. after a refund. Only seats still booked
+// by `attendeeId` are touched.
+const releaseSeats = async ({ eventId, seatIds, attendeeId }) => {
+  await mongoose.model("Event").updateOne(
+    { _id: eventId },
+    {
+      $set: { "seatingLayout.$[seat].occupied": false },
+      $unset: { "seatingLayout.$[seat].attendee": "" },
+    },
+    { arrayFilters: [{ "seat.id": { $in: seatIds }, "seat.attendee": attendeeId }] }
+  );
+  holdEvents.emit("seatsReleased", { eventId: eventId.toString(), seatIds });
+};
+
+// Expired holds are already treated as free when booking, this just tidies up
+const releaseExpiredHolds = async () => {
+  const expired = await SeatHold.find({ status: "active", expiresAt: { $lte: new Date() } });
+  for (const hold of expired) {
+    await clearHoldFromSeats(hold.eventId, hold._id);
+    hold.status = "expired";
+    await hold.save();
+    holdEvents.emit("expired", hold);
+  }
+  return expired;
+};
+
+const startHoldSweeper = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    releaseExpiredHolds().catch((err) => console.error("Seat hold sweep failed:", err.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  SeatHold,
+  SeatHoldError,
+  holdEvents,
+  MAX_SEATS_PER_USER,
+  countUserSeats,
+  isUnavailable,
+  holdSeats,
+  findActiveHold,
+  confirmHold,
+  releaseHold,
+  releaseSeats,
+  releaseExpiredHolds,
+  startHoldSweeper,
+};
@@ -0,0 +1,442 @@
+const { seatGrid } = require("./routing");
+const { sectionOf } = require("./tickets");
+
+const SEAT_ATTRIBUTES = ["wheelchair", "companion", "restricted-view", "blocked"];
+const MAX_ROWS = 500;
+const MAX_SEATS_PER_ROW = 500;
+const MAX_SEATS = 100000;
+const MAX_CURVE = 10;
+const CSV_COLUMNS = ["section", "row", "seat", "gridRow", "column", "attributes"];
+
+class SeatMapError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// 1 -> A, 26 -> Z, 27 -> AA, like spreadsheet columns
+const rowLabel = (n) => {
+  let label = "";
+  for (let rest = n; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    label = String.fromCharCode(65 + ((rest - 1) % 26)) + label;
+  }
+  return label;
+};
+
+const wholeNumber = (value, field, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new SeatMapError(400, `${field} must be a whole number between ${min} and ${max}.`);
+  }
+  return number;
+};
+
+const parseAttributes = (value, where) => {
+  if (value === undefined || value === null || value === "") return [];
+  const attributes = Array.isArray(value) ? value : String(value).split("|");
+  const cleaned = [...new Set(attributes.map((attribute) => String(attribute).trim().toLowerCase()).filter(Boolean))];
+  const unknown = cleaned.filter((attribute) => !SEAT_ATTRIBUTES.includes(attribute));
+  if (unknown.length > 0) {
+    throw new SeatMapError(400, `Unknown seat attributes for ${where}: ${unknown.join(", ")}. Use ${SEAT_ATTRIBUTES.join(", ")}.`);
+  }
+  return cleaned;
+};
+
+const hasAttribute = (seat, attribute) => Boolean(seat?.attributes?.includes(attribute));
+
+// Seat ids are "<section>-<row><seat>" and are split on the "-" (see
+// tickets.sectionOf), so no label may contain one
+const checkLabel = (label, what, where) => {
+  if (label.includes("-")) {
+    throw new SeatMapError(400, `${what} "${label}"${where ? ` in ${where}` : ""} can't contain "-".`);
+  }
+  return label;
+};
+
+// A row is either a list of seats, or a count with optional `offset` (empty
+// columns before the first seat) and `aisles` (seat numbers followed by a gap)
+const parseSeats = (rowInput, where) => {
+  if (Array.isArray(rowInput.seats)) {
+    if (rowInput.seats.length === 0) throw new SeatMapError(400, `${where} has no seats.`);
+    if (rowInput.seats.length > MAX_SEATS_PER_ROW) {
+      throw new SeatMapError(400, `${where} has more than ${MAX_SEATS_PER_ROW} seats.`);
+    }
+    let column = rowInput.offset ? wholeNumber(rowInput.offset, `offset for ${where}`, 0, MAX_SEATS_PER_ROW) : 0;
+    return rowInput.seats.map((seatInput, index) => {
+      const seat = typeof seatInput === "object" && seatInput !== null ? seatInput : { label: seatInput };
+      const label = String(seat.label ?? index + 1).trim();
+      if (!label) throw new SeatMapError(400, `Every seat in ${where} needs a label.`);
+      checkLabel(label, "Seat label", where);
+      const next =
+        seat.column === undefined || seat.column === ""
+          ? column + 1
+          : wholeNumber(seat.column, `column for seat ${label} in ${where}`, column + 1, MAX_SEATS_PER_ROW * 2);
+      column = next;
+      return { label, column, attributes: parseAttributes(seat.attributes, `seat ${label} in ${where}`) };
+    });
+  }
+
+  const count = wholeNumber(rowInput.seats, `seats for ${where}`, 1, MAX_SEATS_PER_ROW);
+  const offset = rowInput.offset ? wholeNumber(rowInput.offset, `offset for ${where}`, 0, MAX_SEATS_PER_ROW) : 0;
+  const aisles = (rowInput.aisles || []).map(Number);
+  return Array.from({ length: count }, (_, index) => ({
+    label: String(index + 1),
+    column: offset + index + 1 + aisles.filter((after) => after <= index).length,
+    attributes: [],
+  }));
+};
+
+// Accepts the rectangle shorthand { sectionName, rows, seatsPerRow, rowLabels,
+// aisles } or explicit rows { sectionName, rows: [{ label, row, seats }] }.
+// `attributes` maps "<row><seat>" labels to attributes in either form.
+const parseSection = (input, names) => {
+  const sectionName = String(input?.sectionName || "").trim();
+  if (!sectionName) throw new SeatMapError(400, "Every seat section needs a sectionName.");
+  checkLabel(sectionName, "Section name");
+  if (names.has(sectionName)) throw new SeatMapError(400, `Duplicate section: ${sectionName}`);
+  names.add(sectionName);
+
+  let rowInputs = input.rows;
+  if (!Array.isArray(rowInputs)) {
+    const rows = wholeNumber(input.rows, `rows for ${sectionName}`, 1, MAX_ROWS);
+    const seatsPerRow = wholeNumber(input.seatsPerRow, `seatsPerRow for ${sectionName}`, 1, MAX_SEATS_PER_ROW);
+    rowInputs = Array.from({ length: rows }, (_, index) => ({
+      label: input.rowLabels?.[index],
+      seats: seatsPerRow,
+      offset: input.offset,
+      aisles: input.aisles,
+    }));
+  }
+  if (rowInputs.length === 0 || rowInputs.length > MAX_ROWS) {
+    throw new SeatMapError(400, `${sectionName} must have between 1 and ${MAX_ROWS} rows.`);
+  }
+
+  // Skipping grid rows leaves a cross aisle
+  let gridRow = 0;
+  const labels = new Set();
+  const seatIds = new Set();
+  const seatRows = rowInputs.map((rowInput, index) => {
+    const label = String(rowInput.label ?? rowLabel(index + 1)).trim();
+    const where = `row ${label} of ${sectionName}`;
+    if (!label) throw new SeatMapError(400, `Every row in ${sectionName} needs a label.`);
+    checkLabel(label, "Row label", sectionName);
+    if (labels.has(label)) throw new SeatMapError(400, `Duplicate ${where}.`);
+    labels.add(label);
+
+    gridRow =
+      rowInput.row === undefined || rowInput.row === ""
+        ? gridRow + 1
+        : wholeNumber(rowInput.row, `row number for ${where}`, gridRow + 1, MAX_ROWS * 2);
+
+    const seats = parseSeats(rowInput, where);
+    seats.forEach((seat) => {
+      const key = `${label}${seat.label}`;
+      if (seatIds.has(key)) throw new SeatMapError(400, `Seat ${key} appears twice in ${sectionName}.`);
+      seatIds.add(key);
+    });
+    return { label, row: gridRow, seats };
+  });
+
+  Object.entries(input.attributes || {}).forEach(([key, attributes]) => {
+    const seat = seatRows.flatMap((row) => row.seats.map((s) => [`${row.label}${s.label}`, s])).find(([id]) => id === key);
+    if (!seat) throw new SeatMapError(400, `Unknown seat ${key} in ${sectionName} attributes.`);
+    seat[1].attributes = [...new Set([...seat[1].attributes, ...parseAttributes(attributes, `seat ${key}`)])];
+  });
+
+  const section = { sectionName, seatRows };
+  if (input.curve !== undefined && input.curve !== "") {
+    const curve = Number(input.curve);
+    if (!Number.isFinite(curve) || Math.abs(curve) > MAX_CURVE) {
+      throw new SeatMapError(400, `curve for ${sectionName} must be between -${MAX_CURVE} and ${MAX_CURVE}.`);
+    }
+    section.curve = curve;
+  }
+  return section;
+};
+
+// Normalises a seat map given as an array of sections or { sections }. Arrays
+// may arrive as JSON strings from multipart forms.
+const parseSeatMap = (value) => {
+  let input = value;
+  if (typeof input === "string") {
+    try {
+      input = JSON.parse(input);
+    } catch (err) {
+      throw new SeatMapError(400, "Invalid seat map format.");
+    }
+  }
+  const sections = Array.isArray(input) ? input : input?.sections;
+  if (!Array.isArray(sections)) throw new SeatMapError(400, "Invalid seat map format.");
+
+  const names = new Set();
+  const seatMap = { sections: sections.map((section) => parseSection(section, names)) };
+  if (seatCount(seatMap) > MAX_SEATS) throw new SeatMapError(400, `A seat map can have at most ${MAX_SEATS} seats.`);
+  return seatMap;
+};
+
+// Venues saved before seatRows existed only have rows x seatsPerRow
+const rowsOf = (section) =>
+  section.seatRows?.length > 0
+    ? section.seatRows
+    : Array.from({ length: section.rows || 0 }, (_, index) => ({
+        label: rowLabel(index + 1),
+        row: index + 1,
+        seats: Array.from({ length: section.seatsPerRow || 0 }, (__, seat) => ({
+          label: String(seat + 1),
+          column: seat + 1,
+          attributes: [],
+        })),
+      }));
+
+const seatCount = (seatMap) =>
+  (seatMap?.sections || []).reduce(
+    (sum, section) => sum + rowsOf(section).reduce((rowSum, row) => rowSum + row.seats.length, 0),
+    0
+  );
+
+// Every event gets its own copy of the venue's seats, so bookings never touch the template
+const layoutFromSeatMap = (seatMap) =>
+  (seatMap?.sections || []).flatMap((section) =>
+    rowsOf(section).flatMap((row) =>
+      row.seats.map((seat) => ({
+        id: `${section.sectionName}-${row.label}${seat.label}`,
+        row: row.row,
+        column: seat.column,
+        rowLabel: row.label,
+        seatLabel: seat.label,
+        attributes: [...(seat.attributes || [])],
+        occupied: false,
+        attendee: null,
+      }))
+    )
+  );
+
+// Same shape parseSeatMap accepts, so an export can be imported again
+const seatMapToJson = (seatMap) => ({
+  sections: (seatMap?.sections || []).map((section) => ({
+    sectionName: section.sectionName,
+    ...(section.curve ? { curve: section.curve } : {}),
+    rows: rowsOf(section).map((row) => ({
+      label: row.label,
+      row: row.row,
+      seats: row.seats.map((seat) => ({
+        label: seat.label,
+        column: seat.column,
+        ...(seat.attributes?.length > 0 ? { attributes: [...seat.attributes] } : {}),
+      })),
+    })),
+  })),
+});
+
+const csvCell = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// For reports opened in a spreadsheet: text that starts like a formula is
+// prefixed with ' so it is shown rather than evaluated. Numbers are left alone.
+const spreadsheetCsvCell = (value) =>
+  csvCell(typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+// One line per seat; attributes are separated by "|". Section curves are only kept in JSON.
+const seatMapToCsv = (seatMap) =>
+  [
+    CSV_COLUMNS.join(","),
+    ...(seatMap?.sections || []).flatMap((section) =>
+      rowsOf(section).flatMap((row) =>
+        row.seats.map((seat) =>
+          [section.sectionName, row.label, seat.label, row.row, seat.column, (seat.attributes || []).join("|")]
+            .map(csvCell)
+            .join(",")
+        )
+      )
+    ),
+  ].join("\n") + "\n";
+
+const parseCsvLines = (text) => {
+  const lines = [];
+  let line = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      line.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      line.push(cell);
+      lines.push(line);
+      line = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || line.length > 0) {
+    line.push(cell);
+    lines.push(line);
+  }
+  return lines.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+// Reads the format seatMapToCsv writes. gridRow and column may be left blank
+// to number rows and seats in the order they appear.
+const parseSeatMapCsv = (text) => {
+  const [header, ...lines] = parseCsvLines(String(text || ""));
+  const columns = (header || []).map((name) => name.trim());
+  const missing = ["section", "row", "seat"].filter((name) => !columns.includes(name));
+  if (missing.length > 0) throw new SeatMapError(400, `Seat map CSV is missing columns: ${missing.join(", ")}`);
+
+  const sections = new Map();
+  lines.forEach((cells, index) => {
+    const value = (name) => (columns.includes(name) ? (cells[columns.indexOf(name)] || "").trim() : "");
+    const sectionName = value("section");
+    const label = value("row");
+    if (!sectionName || !label) throw new SeatMapError(400, `Line ${index + 2} of the CSV needs a section and a row.`);
+    ["section", "row", "seat"].forEach((name) => checkLabel(value(name), `Line ${index + 2} of the CSV: ${name}`));
+
+    if (!sections.has(sectionName)) sections.set(sectionName, { sectionName, rows: new Map() });
+    const rows = sections.get(sectionName).rows;
+    if (!rows.has(label)) rows.set(label, { label, row: value("gridRow"), seats: [] });
+    rows.get(label).seats.push({ label: value("seat"), column: value("column"), attributes: value("attributes") });
+  });
+
+  return parseSeatMap(
+    [...sections.values()].map((section) => ({ sectionName: section.sectionName, rows: [...section.rows.values()] }))
+  );
+};
+
+// SVG rendering
+
+const CELL = 24;
+const SEAT_RADIUS = 9;
+const MARGIN = 40;
+const LABEL_WIDTH = 90;
+
+const SEAT_COLORS = {
+  available: "#81c784",
+  wheelchair: "#1976d2",
+  companion: "#64b5f6",
+  "restricted-view": "#ffb74d",
+  blocked: "#9e9e9e",
+  held: "#ffd54f",
+  occupied: "#e57373",
+};
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&"']/g, (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[char]);
+
+// Occupancy wins over attributes, so organizers can see what is sold
+const seatState = (seat, now) => {
+  if (hasAttribute(seat, "blocked")) return "blocked";
+  if (seat.occupied) return "occupied";
+  if (seat.heldBy && seat.holdExpiresAt > now) return "held";
+  return SEAT_ATTRIBUTES.find((attribute) => hasAttribute(seat, attribute)) || "available";
+};
+
+// Draws seats (in event seatingLayout form) on the same grid the routing code
+// uses. `curves` bends a section's rows by that many cells at the ends.
+const renderSeatMapSvg = (seats, { title = "Seat map", curves = {}, entrances = [], exits = [] } = {}) => {
+  const now = new Date();
+  const positions = seatGrid(seats);
+  const points = [...positions.values(), ...entrances, ...exits];
+  const maxRow = points.reduce((max, point) => Math.max(max, point.row), 0);
+  const maxCol = points.reduce((max, point) => Math.max(max, point.col), 0);
+
+  const sectionBounds = new Map();
+  seats.forEach((seat) => {
+    const { row, col } = positions.get(seat.id);
+    const bounds = sectionBounds.get(sectionOf(seat.id)) || { top: row, minCol: col, maxCol: col };
+    bounds.top = Math.min(bounds.top, row);
+    bounds.minCol = Math.min(bounds.minCol, col);
+    bounds.maxCol = Math.max(bounds.maxCol, col);
+    sectionBounds.set(sectionOf(seat.id), bounds);
+  });
+
+  const x = (col) => MARGIN + LABEL_WIDTH + col * CELL;
+  const y = (row) => MARGIN + row * CELL;
+  const bend = (section, col) => {
+    const bounds = sectionBounds.get(section);
+    const half = (bounds.maxCol - bounds.minCol) / 2;
+    if (!curves[section] || half === 0) return 0;
+    const t = (col - (bounds.minCol + half)) / half;
+    return -curves[section] * t * t * CELL;
+  };
+
+  const counts = {};
+  const seatShapes = seats.map((seat) => {
+    const { row, col } = positions.get(seat.id);
+    const state = seatState(seat, now);
+    counts[state] = (counts[state] || 0) + 1;
+    const attributes = seat.attributes?.length > 0 ? ` (${seat.attributes.join(", ")})` : "";
+    return (
+      `<circle cx="${x(col)}" cy="${(y(row) + bend(sectionOf(seat.id), col)).toFixed(1)}" r="${SEAT_RADIUS}" ` +
+      `fill="${SEAT_COLORS[state]}" class="seat ${state}" data-seat="${escapeXml(seat.id)}">` +
+      `<title>${escapeXml(seat.id + attributes)}</title></circle>`
+    );
+  });
+
+  const sectionLabels = [...sectionBounds.entries()].map(
+    ([section, bounds]) =>
+      `<text x="${MARGIN}" y="${y(bounds.top) + 4}" font-size="12" font-weight="bold">${escapeXml(section)}</text>`
+  );
+  const marker = (point, color, label) =>
+    `<rect x="${x(point.col) - SEAT_RADIUS}" y="${y(point.row) - SEAT_RADIUS}" width="${SEAT_RADIUS * 2}" ` +
+    `height="${SEAT_RADIUS * 2}" fill="${color}"><title>${label} (${point.row}, ${point.col})</title></rect>`;
+
+  const legendY = y(maxRow + 2);
+  const legend = Object.keys(counts).map(
+    (state, index) =>
+      `<circle cx="${MARGIN + index * 130 + SEAT_RADIUS}" cy="${legendY}" r="${SEAT_RADIUS}" fill="${SEAT_COLORS[state]}"/>` +
+      `<text x="${MARGIN + index * 130 + 24}" y="${legendY + 4}" font-size="12">${state} (${counts[state]})</text>`
+  );
+
+  const width = x(maxCol + 1) + MARGIN;
+  const height = legendY + MARGIN;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">`,
+    `<title>${escapeXml(title)}</title>`,
+    `<text x="${MARGIN}" y="${MARGIN / 2 + 4}" font-size="14">${escapeXml(title)}</text>`,
+    ...sectionLabels,
+    ...seatShapes,
+    ...entrances.map((point) => marker(point, "#2e7d32", "Entrance")),
+    ...exits.map((point) => marker(point, "#c62828", "Exit")),
+    ...legend,
+    "</svg>",
+  ].join("\n");
+};
+
+const curvesOf = (seatMap) =>
+  Object.fromEntries((seatMap?.sections || []).map((section) => [section.sectionName, section.curve || 0]));
+
+module.exports = {
+  SEAT_ATTRIBUTES,
+  SeatMapError,
+  rowLabel,
+  parseAttributes,
+  hasAttribute,
+  parseSeatMap,
+  parseSeatMapCsv,
+  seatCount,
+  layoutFromSeatMap,
+  seatMapToJson,
+  seatMapToCsv,
+  csvCell,
+  spreadsheetCsvCell,
+  renderSeatMapSvg,
+  curvesOf,
+};
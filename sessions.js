@@ -0,0 +1,155 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+
+const jwtSecret = process.env.JWT_SECRET || "your_secret_key";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const RESET_TOKEN_TTL_MS = (parseInt(process.env.RESET_TOKEN_MINUTES, 10) || 30) * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+// One document per login; the refresh token rotates on every use
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  refreshTokenHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastRefreshedAt: { type: Date },
+});
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const passwordResetSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date },
+});
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.models.Session || mongoose.model("Session", sessionSchema);
+const PasswordReset = mongoose.models.PasswordReset || mongoose.model("PasswordReset", passwordResetSchema);
+
+class SessionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Only hashes are stored, so a database leak doesn't hand out live tokens
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const randomToken = () => crypto.randomBytes(32).toString("hex");
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ id: user._id, role: user.role, sid: sessionId }, jwtSecret, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Refresh tokens are `${sessionId}.${secret}` so the session can be found without a scan
+const issueTokens = (user, session, secret) => ({
+  token: signAccessToken(user, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+const createSession = async (user, { userAgent, ip } = {}) => {
+  const secret = randomToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    userAgent,
+    ip,
+  });
+  return issueTokens(user, session, secret);
+};
+
+const revokeSessions = (filter, reason) =>
+  Session.updateMany({ ...filter, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+
+const rotateRefreshToken = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new SessionError(401, "Invalid refresh token");
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw new SessionError(401, "Session has expired or been revoked");
+  }
+
+  const nextSecret = randomToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashToken(secret), revokedAt: null },
+    { refreshTokenHash: hashToken(nextSecret), lastRefreshedAt: new Date() },
+    { new: true }
+  );
+
+  // An old refresh token being replayed means it leaked: end the whole session
+  if (!rotated) {
+    await revokeSessions({ _id: session._id }, "refresh token reuse");
+    throw new SessionError(401, "Refresh token has already been used");
+  }
+
+  const user = await mongoose.model("User").findById(session.userId);
+  if (!user) throw new SessionError(401, "User no longer exists");
+
+  return issueTokens(user, rotated, nextSecret);
+};
+
+const isSessionActive = async (sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  const session = await Session.findById(sessionId, "revokedAt expiresAt").lean();
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+};
+
+const validateNewPassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new SessionError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+  }
+};
+
+// Returns the raw token to deliver to the user, or null for unknown emails
+const createPasswordReset = async (email) => {
+  const user = await mongoose.model("User").findOne({ email });
+  if (!user) return null;
+
+  // A new request supersedes any reset link sent earlier
+  await PasswordReset.updateMany({ userId: user._id, usedAt: null }, { usedAt: new Date() });
+
+  const token = randomToken();
+  await PasswordReset.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS),
+  });
+  return { user, token };
+};
+
+// Single use: the token is claimed atomically before the password changes
+const consumePasswordReset = async (token) => {
+  const reset = await PasswordReset.findOneAndUpdate(
+    { tokenHash: hashToken(String(token || "")), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  if (!reset) throw new SessionError(400, "Reset token is invalid or has expired");
+  return reset.userId;
+};
+
+module.exports = {
+  jwtSecret,
+  Session,
+  PasswordReset,
+  SessionError,
+  createSession,
+  rotateRefreshToken,
+  revokeSessions,
+  isSessionActive,
+  validateNewPassword,
+  createPasswordReset,
+  consumePasswordReset,
+};
@@ -0,0 +1,257 @@
+const mongoose = require("mongoose");
+const { eventStartsAt, eventEndsAt } = require("./eventSchedule");
+
+const STAFF_ROLES = ["gate", "usher", "security"];
+// Gate staff work an entrance or exit; ushers work a seating section
+const POST_KINDS = { gate: ["entrance", "exit"], usher: ["zone"], security: ["entrance", "exit", "zone"] };
+const MAX_SHIFT_HOURS = 16;
+// Shifts default to opening the doors this long before the event starts
+const DOORS_OPEN_MS = 60 * 60 * 1000;
+
+// Where a staff member stands: a venue entrance or exit point, or a section of the seat map
+const postSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["entrance", "exit", "zone"], required: true },
+    row: Number,
+    col: Number,
+    zone: String, // sectionName
+  },
+  { _id: false }
+);
+
+const staffAssignmentSchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  role: { type: String, enum: STAFF_ROLES, required: true },
+  post: { type: postSchema, required: true },
+  shiftStart: { type: Date, required: true },
+  shiftEnd: { type: Date, required: true },
+  note: { type: String },
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+staffAssignmentSchema.index({ eventId: 1, shiftStart: 1 });
+staffAssignmentSchema.index({ staffId: 1, shiftStart: 1 });
+
+const StaffAssignment =
+  mongoose.models.StaffAssignment || mongoose.model("StaffAssignment", staffAssignmentSchema);
+
+class StaffingError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new StaffingError(400, `${field} must be a date.`);
+  return date;
+};
+
+const samePoint = (a, b) => Number(a.row) === Number(b.row) && Number(a.col) === Number(b.col);
+
+// Accepts { entrance: { row, col } }, { exit: { row, col } } or { zone: "<sectionName>" }
+// and checks the point or section exists at the event's venue
+const parsePost = (body, role, venue) => {
+  const kinds = ["entrance", "exit", "zone"].filter((kind) => body[kind] !== undefined && body[kind] !== null);
+  if (kinds.length !== 1) throw new StaffingError(400, "Give exactly one of entrance, exit or zone.");
+  const [kind] = kinds;
+  if (!POST_KINDS[role].includes(kind)) {
+    throw new StaffingError(400, `${role} staff can only be posted to: ${POST_KINDS[role].join(", ")}.`);
+  }
+
+  if (kind === "zone") {
+    const zone = String(body.zone).trim();
+    if (!(venue.seatMap?.sections || []).some((section) => section.sectionName === zone)) {
+      throw new StaffingError(400, `The venue has no section named ${zone}.`);
+    }
+    return { kind, zone };
+  }
+
+  const point = body[kind];
+  const points = kind === "entrance" ? venue.entrances : venue.exits;
+  if (point.row === undefined || point.col === undefined || !(points || []).some((p) => samePoint(p, point))) {
+    throw new StaffingError(400, `${kind} must be one of the venue's ${kind === "entrance" ? "entrances" : "exits"} as { row, col }.`);
+  }
+  return { kind, row: Number(point.row), col: Number(point.col) };
+};
+
+// Shifts default to the event's doors-open time through to its end
+const parseShift = (body, event, current = {}) => {
+  const shiftStart =
+    body.shiftStart !== undefined
+      ? parseDate(body.shiftStart, "shiftStart")
+      : current.shiftStart || new Date(eventStartsAt(event).getTime() - DOORS_OPEN_MS);
+  const shiftEnd =
+    body.shiftEnd !== undefined ? parseDate(body.shiftEnd, "shiftEnd") : current.shiftEnd || eventEndsAt(event);
+
+  if (shiftStart >= shiftEnd) throw new StaffingError(400, "shiftStart must be before shiftEnd.");
+  if (shiftEnd - shiftStart > MAX_SHIFT_HOURS * 60 * 60 * 1000) {
+    throw new StaffingError(400, `A shift can be at most ${MAX_SHIFT_HOURS} hours long.`);
+  }
+  if (shiftEnd <= eventStartsAt(event) || shiftStart >= eventEndsAt(event)) {
+    throw new StaffingError(400, "The shift must cover part of the event.");
+  }
+  return { shiftStart, shiftEnd };
+};
+
+// The staff member's other shifts, at any event, that overlap this one
+const findConflicts = ({ staffId, shiftStart, shiftEnd, excludeId }) =>
+  StaffAssignment.find({
+    staffId,
+    shiftStart: { $lt: shiftEnd },
+    shiftEnd: { $gt: shiftStart },
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  })
+    .populate("eventId", "eventName eventDate time")
+    .lean();
+
+const rejectConflicts = async (shift) => {
+  const conflicts = await findConflicts(shift);
+  if (conflicts.length > 0) {
+    throw new StaffingError(
+      409,
+      "This shift overlaps another shift for the same staff member.",
+      conflicts.map((conflict) => ({
+        field: "shiftStart",
+        message: `overlaps a ${conflict.role} shift at ${conflict.eventId?.eventName || "another event"}`,
+        assignmentId: conflict._id,
+        event: conflict.eventId,
+        shiftStart: conflict.shiftStart,
+        shiftEnd: conflict.shiftEnd,
+      }))
+    );
+  }
+};
+
+const loadVenue = async (event) => {
+  const venue = await mongoose.model("Venue").findById(event.venueId, "entrances exits seatMap.sections.sectionName").lean();
+  if (!venue) throw new StaffingError(404, "Venue not found");
+  return venue;
+};
+
+const assignStaff = async ({ event, body, assignedBy }) => {
+  if (["completed", "cancelled"].includes(event.status)) {
+    throw new StaffingError(409, `This event is ${event.status}, so staff can no longer be assigned.`);
+  }
+  if (!mongoose.Types.ObjectId.isValid(body.staffId)) throw new StaffingError(400, "Invalid staff ID format.");
+  const staff = await mongoose.model("User").findById(body.staffId, "role").lean();
+  if (!staff || staff.role !== "Staff") throw new StaffingError(400, "staffId must belong to a Staff account.");
+  if (!STAFF_ROLES.includes(body.role)) {
+    throw new StaffingError(400, `role must be one of: ${STAFF_ROLES.join(", ")}`);
+  }
+
+  const post = parsePost(body, body.role, await loadVenue(event));
+  const shift = parseShift(body, event);
+  await rejectConflicts({ staffId: staff._id, ...shift });
+
+  return StaffAssignment.create({
+    eventId: event._id,
+    staffId: staff._id,
+    role: body.role,
+    post,
+    ...shift,
+    note: body.note,
+    assignedBy,
+  });
+};
+
+const findAssignment = async (event, assignmentId) => {
+  const assignment = await StaffAssignment.findOne({ _id: assignmentId, eventId: event._id });
+  if (!assignment) throw new StaffingError(404, "Staff assignment not found");
+  return assignment;
+};
+
+// Changes the role, post, shift or note. A new role needs a post that suits it.
+const updateAssignment = async ({ event, assignmentId, body }) => {
+  const assignment = await findAssignment(event, assignmentId);
+  const role = body.role ?? assignment.role;
+  if (!STAFF_ROLES.includes(role)) throw new StaffingError(400, `role must be one of: ${STAFF_ROLES.join(", ")}`);
+
+  if (["entrance", "exit", "zone"].some((kind) => body[kind] !== undefined)) {
+    assignment.post = parsePost(body, role, await loadVenue(event));
+  } else if (!POST_KINDS[role].includes(assignment.post.kind)) {
+    throw new StaffingError(400, `${role} staff can only be posted to: ${POST_KINDS[role].join(", ")}.`);
+  }
+  assignment.role = role;
+
+  if (body.shiftStart !== undefined || body.shiftEnd !== undefined) {
+    Object.assign(assignment, parseShift(body, event, assignment));
+    await rejectConflicts({
+      staffId: assignment.staffId,
+      shiftStart: assignment.shiftStart,
+      shiftEnd: assignment.shiftEnd,
+      excludeId: assignment._id,
+    });
+  }
+  if (body.note !== undefined) assignment.note = body.note;
+  return assignment.save();
+};
+
+const removeAssignment = async ({ event, assignmentId }) => (await findAssignment(event, assignmentId)).deleteOne();
+
+const listEventStaff = (eventId) =>
+  StaffAssignment.find({ eventId }).populate("staffId", "name email").sort({ shiftStart: 1 }).lean();
+
+// A staff member's shifts with their events, upcoming ones only unless `all`
+const listMyAssignments = (staffId, { all = false } = {}) =>
+  StaffAssignment.find({ staffId, ...(!all && { shiftEnd: { $gte: new Date() } }) })
+    .populate({ path: "eventId", select: "eventName eventDate time duration status venueId", populate: { path: "venueId", select: "venueName" } })
+    .sort({ shiftStart: 1 })
+    .lean();
+
+// Who is on shift at each entrance, exit and section at `at`, which defaults
+// to the moment the event starts. Posts with nobody on shift are listed as unstaffed.
+const staffCoverage = async (event, at) => {
+  const moment = at ? parseDate(at, "at") : eventStartsAt(event);
+  const [venue, onShift] = await Promise.all([
+    loadVenue(event),
+    StaffAssignment.find({ eventId: event._id, shiftStart: { $lte: moment }, shiftEnd: { $gt: moment } })
+      .populate("staffId", "name")
+      .lean(),
+  ]);
+
+  const staffAt = (match) =>
+    onShift
+      .filter((assignment) => match(assignment.post))
+      .map((assignment) => ({ assignmentId: assignment._id, staff: assignment.staffId, role: assignment.role }));
+  const points = (kind, list) =>
+    (list || []).map((point) => ({
+      row: point.row,
+      col: point.col,
+      staff: staffAt((post) => post.kind === kind && samePoint(post, point)),
+    }));
+
+  const entrances = points("entrance", venue.entrances);
+  const exits = points("exit", venue.exits);
+  const zones = (venue.seatMap?.sections || []).map(({ sectionName }) => ({
+    zone: sectionName,
+    staff: staffAt((post) => post.kind === "zone" && post.zone === sectionName),
+  }));
+  const unstaffed = (list) => list.filter((item) => item.staff.length === 0).map(({ staff, ...item }) => item);
+
+  return {
+    at: moment,
+    onShift: onShift.length,
+    entrances,
+    exits,
+    zones,
+    unstaffedEntrances: unstaffed(entrances),
+    unstaffedExits: unstaffed(exits),
+    unstaffedZones: unstaffed(zones),
+  };
+};
+
+module.exports = {
+  STAFF_ROLES,
+  StaffAssignment,
+  StaffingError,
+  assignStaff,
+  updateAssignment,
+  removeAssignment,
+  listEventStaff,
+  listMyAssignments,
+  staffCoverage,
+};
@@ -0,0 +1,82 @@
+const fs = require("fs/promises");
+const path = require("path");
+const axios = require("axios");
+
+// Every storage adapter implements:
+//   name
+//   save(buffer, { key, contentType }) -> { key, url }
+//   remove(key)                        -> resolves once the file is gone
+// `key` is a relative path like "events/1712345678-ab12cd-thumbnail.webp".
+// Adapters should treat removing a missing file as success.
+const adapters = new Map();
+
+const registerStorage = (adapter) => {
+  ["name", "save", "remove"].forEach((key) => {
+    if (!adapter[key]) throw new Error(`Storage adapter is missing ${key}`);
+  });
+  adapters.set(adapter.name, adapter);
+  return adapter;
+};
+
+// ImgBB when an API key is configured, local disk otherwise
+const getStorage = (name = process.env.IMAGE_STORAGE || (process.env.IMGBB_API_KEY ? "imgbb" : "local")) => {
+  const adapter = adapters.get(name);
+  if (!adapter) throw new Error(`Unknown image storage: ${name}`);
+  return adapter;
+};
+
+const uploadDir = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "uploads"));
+
+// Files under uploads/, served by the app at /uploads
+const localStorage = {
+  name: "local",
+
+  async save(buffer, { key }) {
+    const file = path.join(uploadDir, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return { key, url: `${process.env.PUBLIC_URL || ""}/uploads/${key}` };
+  },
+
+  async remove(key) {
+    const file = path.join(uploadDir, key);
+    if (!file.startsWith(uploadDir + path.sep)) return;
+    await fs.unlink(file).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  },
+};
+
+// ImgBB keeps files on its side; its delete links are web pages rather than
+// an API, so removed images are only forgotten here.
+const imgbbStorage = {
+  name: "imgbb",
+
+  async save(buffer, { key }) {
+    const formData = new FormData();
+    formData.append("image", buffer.toString("base64"));
+    formData.append("name", path.basename(key, path.extname(key)));
+    try {
+      const response = await axios.post("https://api.imgbb.com/1/upload", formData, {
+        params: { key: process.env.IMGBB_API_KEY },
+      });
+      return { key: response.data.data.id, url: response.data.data.url };
+    } catch (error) {
+      console.error("ImgBB Upload Error:", error.response?.data || error.message);
+      throw new Error("Failed to upload image");
+    }
+  },
+
+  async remove() {},
+};
+
+registerStorage(localStorage);
+registerStorage(imgbbStorage);
+
+module.exports = {
+  uploadDir,
+  registerStorage,
+  getStorage,
+  localStorage,
+  imgbbStorage,
+};
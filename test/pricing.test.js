@@ -0,0 +1,18 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseDiscountCode, userUsesLeft } = require("../pricing");
+
+test("a null perUserLimit lets a user redeem the code any number of times", () => {
+  assert.strictEqual(userUsesLeft({ perUserLimit: null }, 0), Infinity);
+  assert.strictEqual(userUsesLeft({ perUserLimit: null }, 25), Infinity);
+  assert.strictEqual(userUsesLeft({}, 3), Infinity);
+});
+
+test("perUserLimit counts down from the user's earlier uses", () => {
+  assert.strictEqual(userUsesLeft({ perUserLimit: 2 }, 0), 2);
+  assert.strictEqual(userUsesLeft({ perUserLimit: 2 }, 2), 0);
+});
+
+test("perUserLimit can be cleared with null", () => {
+  assert.deepStrictEqual(parseDiscountCode({ perUserLimit: null }), { perUserLimit: null });
+});
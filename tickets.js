@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
+
+// Kept apart from the login secret so ticket tokens can be rotated on their own
+const ticketSecret = process.env.TICKET_SECRET || process.env.JWT_SECRET || "your_secret_key";
+
+// Seat ids are generated as `${sectionName}-${rowLabel}${seatNumber}`
+const sectionOf = (seatId) => {
+  const idx = seatId.lastIndexOf("-");
+  return idx === -1 ? "" : seatId.slice(0, idx);
+};
+
+// Short claim names keep the QR code small. `v` changes whenever the ticket is
+// re-issued (e.g. transferred), which invalidates earlier tokens.
+const signTicketToken = (ticket) =>
+  jwt.sign(
+    { tid: ticket._id.toString(), eid: ticket.eventId.toString(), sid: ticket.seatId, v: ticket.tokenVersion || 0 },
+    ticketSecret,
+    { algorithm: "HS256", noTimestamp: true }
+  );
+
+// Returns { ticketId, eventId, seatId, version } or null when the token is forged or malformed
+const verifyTicketToken = (token) => {
+  try {
+    const { tid, eid, sid, v } = jwt.verify(token, ticketSecret, { algorithms: ["HS256"] });
+    return { ticketId: tid, eventId: eid, seatId: sid, version: v || 0 };
+  } catch (err) {
+    return null;
+  }
+};
+
+// One ticket per booked seat. `prices` and `ticketTypes` are keyed by seatId.
+const issueTickets = async ({ eventId, attendeeId, seatIds, holdId, orderId, prices = {}, ticketTypes = {} }) => {
+  const Ticket = mongoose.model("Ticket");
+  const tickets = seatIds.map((seatId) => {
+    const ticket = new Ticket({
+      eventId,
+      attendeeId,
+      seatId,
+      section: sectionOf(seatId),
+      price: prices[seatId] || 0,
+      ticketType: ticketTypes[seatId],
+      holdId,
+      orderId,
+    });
+    ticket.token = signTicketToken(ticket);
+    return ticket;
+  });
+  return Ticket.insertMany(tickets);
+};
+
+const renderTicketQr = (token, format = "png") =>
+  format === "svg"
+    ? QRCode.toString(token, { type: "svg", errorCorrectionLevel: "M" })
+    : QRCode.toBuffer(token, { type: "png", errorCorrectionLevel: "M", width: 300 });
+
+module.exports = {
+  sectionOf,
+  signTicketToken,
+  verifyTicketToken,
+  issueTickets,
+  renderTicketQr,
+};
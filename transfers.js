@@ -0,0 +1,183 @@
+const mongoose = require("mongoose");
+const { signTicketToken } = require("./tickets");
+const { MAX_SEATS_PER_USER, countUserSeats } = require("./seatHolds");
+const { eventStartsAt } = require("./eventSchedule");
+
+const TRANSFER_TTL_MS = (parseInt(process.env.TRANSFER_HOURS, 10) || 72) * 60 * 60 * 1000;
+
+// Kept after they are settled, so every ticket has a full ownership history
+const ticketTransferSchema = new mongoose.Schema({
+  ticketId: { type: mongoose.Schema.Types.ObjectId, ref: "Ticket", required: true },
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  seatId: { type: String, required: true },
+  fromUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  toUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined", "cancelled", "expired"],
+    default: "pending",
+  },
+  note: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  respondedAt: { type: Date },
+});
+ticketTransferSchema.index({ ticketId: 1 }, { unique: true, partialFilterExpression: { status: "pending" } });
+ticketTransferSchema.index({ toUserId: 1, status: 1 });
+ticketTransferSchema.index({ fromUserId: 1, status: 1 });
+
+const TicketTransfer = mongoose.models.TicketTransfer || mongoose.model("TicketTransfer", ticketTransferSchema);
+
+class TransferError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const settle = async (transfer, status, note) => {
+  transfer.status = status;
+  transfer.respondedAt = new Date();
+  if (note) transfer.note = note;
+  await transfer.save();
+  return transfer;
+};
+
+const requestTransfer = async ({ ticketId, fromUserId, email }) => {
+  if (!email) throw new TransferError(400, "Recipient email is required.");
+
+  const Ticket = mongoose.model("Ticket");
+  const ticket = await Ticket.findOne({ _id: ticketId, attendeeId: fromUserId });
+  if (!ticket) throw new TransferError(404, "Ticket not found");
+  if (ticket.status !== "valid") throw new TransferError(400, "Only valid tickets can be transferred.");
+  if (ticket.checkInStatus) throw new TransferError(400, "Tickets that have been scanned in can't be transferred.");
+
+  const event = await mongoose.model("Event").findById(ticket.eventId, "eventDate time").lean();
+  if (!event || eventStartsAt(event) <= new Date()) {
+    throw new TransferError(400, "Tickets can't be transferred once the event has started.");
+  }
+
+  const recipient = await mongoose.model("User").findOne({ email: String(email).trim() }, "_id");
+  if (!recipient) throw new TransferError(404, "No registered user has that email.");
+  if (recipient._id.toString() === fromUserId.toString()) {
+    throw new TransferError(400, "You can't transfer a ticket to yourself.");
+  }
+
+  try {
+    return await TicketTransfer.create({
+      ticketId: ticket._id,
+      eventId: ticket.eventId,
+      seatId: ticket.seatId,
+      fromUserId,
+      toUserId: recipient._id,
+      expiresAt: new Date(Date.now() + TRANSFER_TTL_MS),
+    });
+  } catch (err) {
+    if (err.code === 11000) throw new TransferError(409, "This ticket already has a transfer waiting for a reply.");
+    throw err;
+  }
+};
+
+const findPending = async (filter) => {
+  const transfer = await TicketTransfer.findOne({ ...filter, status: "pending" });
+  if (!transfer) throw new TransferError(404, "Transfer not found");
+  if (transfer.expiresAt <= new Date()) {
+    await settle(transfer, "expired");
+    throw new TransferError(410, "This transfer has expired.");
+  }
+  return transfer;
+};
+
+// Moves the ticket to the recipient with a fresh token, so the sender's copy
+// of the QR code stops working
+const acceptTransfer = async ({ transferId, userId }) => {
+  const transfer = await findPending({ _id: transferId, toUserId: userId });
+
+  const Event = mongoose.model("Event");
+  const event = await Event.findById(transfer.eventId, "seatingLayout").lean();
+  if (countUserSeats(event.seatingLayout, userId) + 1 > MAX_SEATS_PER_USER) {
+    throw new TransferError(400, `You can only hold up to ${MAX_SEATS_PER_USER} seats per event.`);
+  }
+
+  const Ticket = mongoose.model("Ticket");
+  const ticket = await Ticket.findById(transfer.ticketId);
+  const version = (ticket?.tokenVersion || 0) + 1;
+  const reissued =
+    ticket &&
+    (await Ticket.findOneAndUpdate(
+      {
+        _id: ticket._id,
+        attendeeId: transfer.fromUserId,
+        status: "valid",
+        checkInStatus: null,
+        tokenVersion: ticket.tokenVersion || { $in: [0, null] },
+      },
+      {
+        attendeeId: userId,
+        tokenVersion: version,
+        token: signTicketToken({ _id: ticket._id, eventId: ticket.eventId, seatId: ticket.seatId, tokenVersion: version }),
+      },
+      { new: true }
+    ).select("+token"));
+
+  if (!reissued) {
+    await settle(transfer, "cancelled", "ticket is no longer transferable");
+    throw new TransferError(409, "This ticket can no longer be transferred.");
+  }
+
+  await Event.updateOne(
+    { _id: transfer.eventId, "seatingLayout.id": transfer.seatId },
+    { $set: { "seatingLayout.$.attendee": userId } }
+  );
+  await settle(transfer, "accepted");
+  return { transfer, ticket: reissued };
+};
+
+const declineTransfer = async ({ transferId, userId }) =>
+  settle(await findPending({ _id: transferId, toUserId: userId }), "declined");
+
+const cancelTransfer = async ({ transferId, userId }) =>
+  settle(await findPending({ _id: transferId, fromUserId: userId }), "cancelled");
+
+const listTransfers = async (userId) => {
+  const populate = (query) =>
+    query
+      .populate("eventId", "eventName eventDate time")
+      .populate("fromUserId", "name email")
+      .populate("toUserId", "name email")
+      .sort({ createdAt: -1 });
+
+  const [incoming, outgoing] = await Promise.all([
+    populate(TicketTransfer.find({ toUserId: userId })),
+    populate(TicketTransfer.find({ fromUserId: userId })),
+  ]);
+  return { incoming, outgoing };
+};
+
+// Ownership history of a ticket, for anyone who has held it
+const transferHistory = async ({ ticketId, userId }) => {
+  const history = await TicketTransfer.find({ ticketId })
+    .populate("fromUserId", "name email")
+    .populate("toUserId", "name email")
+    .sort({ createdAt: 1 });
+
+  const ticket = await mongoose.model("Ticket").findById(ticketId, "attendeeId").lean();
+  const involved =
+    ticket?.attendeeId.toString() === userId.toString() ||
+    history.some((transfer) =>
+      [transfer.fromUserId?._id, transfer.toUserId?._id].some((id) => id?.toString() === userId.toString())
+    );
+  if (!ticket || !involved) throw new TransferError(404, "Ticket not found");
+  return history;
+};
+
+module.exports = {
+  TicketTransfer,
+  TransferError,
+  requestTransfer,
+  acceptTransfer,
+  declineTransfer,
+  cancelTransfer,
+  listTransfers,
+  transferHistory,
+};
@@ -1,11 +1,35 @@
-const mongoose = require("mongoose");
-
-const validateObjectId = (req, res, next) => {
-  const { eventId } = req.params;
-  if (!mongoose.Types.ObjectId.isValid(eventId)) {
-    return res.status(400).json({ message: "Invalid Event ID format." });
-  }
-  next();
+const { field, validate } = require("./validation");
+
+// Rejects requests whose `param` route parameter isn't a valid ObjectId
+const validateParamId = (param, label) => validate({ params: { [param]: field.objectId(label, { required: true }) } });
+
+const validateObjectId = validateParamId("eventId", "Event");
+
+// Route parameters that always hold an ObjectId, with the label used in errors
+const ID_PARAMS = {
+  eventId: "Event",
+  venueId: "Venue",
+  holdId: "Hold",
+  orderId: "Order",
+  ticketId: "Ticket",
+  transferId: "Transfer",
+  entryId: "Waitlist entry",
+  codeId: "Discount code",
+  userId: "User",
+  notificationId: "Notification",
+  jobId: "Job",
+  assignmentId: "Assignment",
+  incidentId: "Incident",
 };
 
+// Checks the ID parameters above on every route that has them, so a bad ID is
+// a 400 rather than a cast error deep inside a handler
+const validateIdParams = (app) =>
+  Object.entries(ID_PARAMS).forEach(([param, label]) => {
+    const check = validateParamId(param, label);
+    app.param(param, (req, res, next) => check(req, res, next));
+  });
+
 module.exports = validateObjectId;
+module.exports.validateParamId = validateParamId;
+module.exports.validateIdParams = validateIdParams;
@@ -0,0 +1,172 @@
+const mongoose = require("mongoose");
+
+// Declarative request validation. A schema lists the fields a route reads
+// from params, query and body:
+//
+//   validate({
+//     params: { orderId: field.objectId("Order") },
+//     body: { seatIds: field.array(field.string(), { required: true, min: 1 }), reason: field.string() },
+//   })
+//
+// Values are coerced to their declared type and written back, so multipart
+// and query-string fields ("25", "true", '["A-1"]') reach the route as numbers,
+// booleans and arrays. Fields the schema doesn't list are left alone for the
+// module that parses them. Failures answer 400 VALIDATION_FAILED with one
+// { field, message } entry per problem.
+
+const isEmpty = (value) => value === undefined || value === null || value === "";
+
+// Multipart and query strings carry arrays and objects as JSON
+const parseJson = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return undefined;
+  }
+};
+
+const types = {
+  string: (value, spec) => {
+    if (typeof value !== "string" && typeof value !== "number") return { error: "must be a string" };
+    const text = spec.trim === false ? String(value) : String(value).trim();
+    if (spec.min !== undefined && text.length < spec.min) return { error: `must be at least ${spec.min} characters` };
+    if (spec.max !== undefined && text.length > spec.max) return { error: `must be at most ${spec.max} characters` };
+    if (spec.pattern && !spec.pattern.test(text)) return { error: spec.patternMessage || "has an invalid format" };
+    return { value: text };
+  },
+
+  number: (value, spec) => {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) return { error: "must be a number" };
+    if (spec.integer && !Number.isInteger(number)) return { error: "must be a whole number" };
+    if (spec.min !== undefined && number < spec.min) return { error: `must be at least ${spec.min}` };
+    if (spec.max !== undefined && number > spec.max) return { error: `must be at most ${spec.max}` };
+    return { value: number };
+  },
+
+  boolean: (value) => {
+    if (typeof value === "boolean") return { value };
+    if (["true", "1"].includes(String(value))) return { value: true };
+    if (["false", "0"].includes(String(value))) return { value: false };
+    return { error: "must be true or false" };
+  },
+
+  date: (value) => {
+    const date = value instanceof Date ? value : new Date(value);
+    if (typeof value === "boolean" || Number.isNaN(date.getTime())) return { error: "must be a date" };
+    return { value: date };
+  },
+
+  objectId: (value, spec) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) return { error: `must be a valid ${spec.label || "ID"}` };
+    return { value: String(value) };
+  },
+
+  enum: (value, spec) => {
+    if (!spec.values.includes(value)) return { error: `must be one of: ${spec.values.join(", ")}` };
+    return { value };
+  },
+
+  array: (value, spec, path, errors) => {
+    const list = parseJson(value);
+    if (!Array.isArray(list)) return { error: "must be an array" };
+    if (spec.min !== undefined && list.length < spec.min) return { error: `must have at least ${spec.min} item(s)` };
+    if (spec.max !== undefined && list.length > spec.max) return { error: `must have at most ${spec.max} items` };
+    if (!spec.items) return { value: list };
+    return { value: list.map((item, i) => check(item, spec.items, `${path}[${i}]`, errors)) };
+  },
+
+  object: (value, spec, path, errors) => {
+    const object = parseJson(value);
+    if (!object || typeof object !== "object" || Array.isArray(object)) return { error: "must be an object" };
+    if (!spec.fields) return { value: object };
+    return { value: checkFields(object, spec.fields, path, errors) };
+  },
+
+  // Either of two shapes, e.g. a list of sections or { sections: [...] }
+  oneOf: (value, spec, path, errors) => {
+    for (const option of spec.options) {
+      const attempt = [];
+      const checked = check(value, option, path, attempt);
+      if (attempt.length === 0) return { value: checked };
+    }
+    return { error: spec.message || "has an invalid format" };
+  },
+
+  any: (value) => ({ value }),
+};
+
+// Returns the coerced value, pushing any problems onto `errors`
+const check = (value, spec, path, errors) => {
+  if (isEmpty(value)) {
+    if (spec.required) errors.push({ field: path, message: "is required" });
+    // "" and null clear nullable fields; otherwise an empty field counts as not sent
+    return spec.nullable && value !== undefined ? null : undefined;
+  }
+  const result = types[spec.type](value, spec, path, errors);
+  if (result.error) {
+    errors.push({ field: path, message: result.error });
+    return value;
+  }
+  return result.value;
+};
+
+const checkFields = (source, fields, prefix, errors) => {
+  const checked = { ...source };
+  Object.entries(fields).forEach(([name, spec]) => {
+    const value = check(source[name], spec, prefix ? `${prefix}.${name}` : name, errors);
+    if (value === undefined) delete checked[name];
+    else checked[name] = value;
+  });
+  return checked;
+};
+
+// Field specs. Every one takes { required, nullable } besides its own options.
+const field = {
+  string: (options = {}) => ({ type: "string", ...options }),
+  number: (options = {}) => ({ type: "number", ...options }),
+  integer: (options = {}) => ({ type: "number", integer: true, ...options }),
+  boolean: (options = {}) => ({ type: "boolean", ...options }),
+  date: (options = {}) => ({ type: "date", ...options }),
+  objectId: (label, options = {}) => ({ type: "objectId", label: label && `${label} ID`, ...options }),
+  enum: (values, options = {}) => ({ type: "enum", values, ...options }),
+  array: (items, options = {}) => ({ type: "array", items, ...options }),
+  object: (fields, options = {}) => ({ type: "object", fields, ...options }),
+  oneOf: (options, extra = {}) => ({ type: "oneOf", options, ...extra }),
+  any: (options = {}) => ({ type: "any", ...options }),
+};
+
+// A { row, col } point on the venue grid
+field.point = (options = {}) =>
+  field.object({ row: field.integer({ required: true }), col: field.integer({ required: true }) }, options);
+
+const PARTS = ["params", "query", "body"];
+
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  PARTS.forEach((part) => {
+    if (!schema[part]) return;
+    // text/csv bodies arrive as strings and are parsed by the route itself
+    if (part === "body" && (typeof req.body !== "object" || req.body === null)) return;
+    const checked = checkFields(req[part] || {}, schema[part], part, errors);
+    Object.assign(req[part], checked);
+    Object.keys(req[part]).forEach((key) => {
+      if (!(key in checked)) delete req[part][key];
+    });
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      message: errors.map((error) => `${error.field} ${error.message}`).join("; "),
+      code: "VALIDATION_FAILED",
+      details: errors,
+    });
+  }
+  next();
+};
+
+module.exports = {
+  field,
+  validate,
+};
@@ -0,0 +1,169 @@
+const mongoose = require("mongoose");
+const { rowLabel, parseSeatMap, seatCount, layoutFromSeatMap } = require("./seatMaps");
+const { GATE_MARGIN, seatGrid, gridBounds, withinBounds } = require("./routing");
+
+const SEATING_TYPES = ["seatSelection", "noPreference"];
+
+class VenueError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Multipart requests send arrays as JSON strings
+const parseJsonField = (value, field) => {
+  if (value === undefined || value === "") return undefined;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new VenueError(400, `Invalid ${field} format.`);
+  }
+};
+
+const wholeNumber = (value, field, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new VenueError(400, `${field} must be a whole number between ${min} and ${max}.`);
+  }
+  return number;
+};
+
+const parsePoints = (value, field) => {
+  const points = parseJsonField(value, field);
+  if (points === undefined) return undefined;
+  if (!Array.isArray(points)) throw new VenueError(400, `Invalid ${field} format.`);
+  return points.map((point) => {
+    const row = Number(point?.row);
+    const col = Number(point?.col);
+    if (!Number.isInteger(row) || !Number.isInteger(col)) {
+      throw new VenueError(400, `Every point in ${field} needs whole-number row and col.`);
+    }
+    return { row, col };
+  });
+};
+
+const checkCapacity = (maxCapacity, seatMap) => {
+  const seats = seatCount(seatMap);
+  if (seats > maxCapacity) {
+    throw new VenueError(400, `The seat map has ${seats} seats, more than the venue's capacity of ${maxCapacity}.`);
+  }
+};
+
+// Entrances, exits and the stage must sit near the seats, where routing can reach them
+const checkGates = (venue, current) => {
+  const bounds = gridBounds(seatGrid(layoutFromSeatMap(venue.seatMap || current?.seatMap)));
+  const gates = {
+    entrances: venue.entrances ?? current?.entrances ?? [],
+    exits: venue.exits ?? current?.exits ?? [],
+    stage: ["stage" in venue ? venue.stage : current?.stage].filter((point) => point?.row != null),
+  };
+  Object.entries(gates).forEach(([field, points]) => {
+    const outside = points.find((point) => !withinBounds(point, bounds));
+    if (outside) {
+      throw new VenueError(
+        400,
+        `${field} point (${outside.row}, ${outside.col}) is more than ${GATE_MARGIN} cells away from the seats.`
+      );
+    }
+  });
+};
+
+// Reads venue fields from a request body. With `partial`, only the fields
+// present are returned, checked against `current` where they depend on each other.
+const parseVenue = (body, { partial = false, current } = {}) => {
+  const venue = {};
+
+  if (body.venueName !== undefined || !partial) {
+    const venueName = String(body.venueName || "").trim();
+    if (!venueName) throw new VenueError(400, "venueName is required.");
+    venue.venueName = venueName;
+  }
+  if (body.maxCapacity !== undefined || !partial) {
+    venue.maxCapacity = wholeNumber(body.maxCapacity, "maxCapacity", 1, Number.MAX_SAFE_INTEGER);
+  }
+  if (body.seatingType !== undefined || !partial) {
+    if (!SEATING_TYPES.includes(body.seatingType)) {
+      throw new VenueError(400, `seatingType must be one of: ${SEATING_TYPES.join(", ")}`);
+    }
+    venue.seatingType = body.seatingType;
+  }
+  // seatMap takes any format parseSeatMap accepts; seatSections is the older name
+  const seatMap = body.seatMap ?? body.seatSections;
+  if (seatMap !== undefined || !partial) {
+    venue.seatMap = parseSeatMap(seatMap ?? "[]");
+  }
+
+  const entrances = parsePoints(body.entrances, "entrances");
+  const exits = parsePoints(body.exits, "exits");
+  if (entrances) venue.entrances = entrances;
+  if (exits) venue.exits = exits;
+  if (body.stage !== undefined) {
+    const stage = parseJsonField(body.stage, "stage");
+    venue.stage = stage === null ? undefined : parsePoints([stage], "stage")[0];
+  }
+
+  checkCapacity(venue.maxCapacity ?? current?.maxCapacity, venue.seatMap || current?.seatMap);
+  checkGates(venue, current);
+  return venue;
+};
+
+// Venues saved before seat maps kept their seats as a JSON string in
+// seatingLayout, one { id: "<section>-<row label><column>", row, column } per seat
+const seatMapFromLegacyLayout = (layout) => {
+  let seats;
+  try {
+    seats = JSON.parse(layout || "[]");
+  } catch (err) {
+    seats = [];
+  }
+
+  const sections = new Map();
+  (Array.isArray(seats) ? seats : []).forEach((seat) => {
+    const id = String(seat?.id ?? "");
+    const split = id.lastIndexOf("-");
+    if (split < 1 || !Number.isInteger(seat.row) || !Number.isInteger(seat.column)) return;
+    const sectionName = id.slice(0, split);
+    const label = id.slice(split + 1, -String(seat.column).length) || rowLabel(seat.row);
+
+    if (!sections.has(sectionName)) sections.set(sectionName, new Map());
+    const rows = sections.get(sectionName);
+    if (!rows.has(seat.row)) rows.set(seat.row, { label, row: seat.row, seats: [] });
+    rows.get(seat.row).seats.push({ label: String(seat.column), column: seat.column, attributes: [] });
+  });
+
+  return {
+    sections: [...sections].map(([sectionName, rows]) => ({
+      sectionName,
+      seatRows: [...rows.values()]
+        .sort((a, b) => a.row - b.row)
+        .map((row) => ({ ...row, seats: row.seats.sort((a, b) => a.column - b.column) })),
+    })),
+  };
+};
+
+// Gives legacy venues a seat map so events and sessions can be created from
+// them, and drops the old string. seatingLayout is no longer in the schema.
+const backfillVenueSeatMaps = async () => {
+  const Venue = mongoose.model("Venue");
+  const legacy = await Venue.find({ seatingLayout: { $type: "string" } }, "seatingLayout seatMap")
+    .setOptions({ strictQuery: false })
+    .lean();
+  for (const venue of legacy) {
+    const update = { $unset: { seatingLayout: 1 } };
+    if (!(venue.seatMap?.sections?.length > 0)) update.$set = { seatMap: seatMapFromLegacyLayout(venue.seatingLayout) };
+    await Venue.updateOne({ _id: venue._id }, update, { strict: false, strictQuery: false });
+  }
+  return legacy.length;
+};
+
+module.exports = {
+  SEATING_TYPES,
+  VenueError,
+  checkCapacity,
+  checkGates,
+  parseVenue,
+  seatMapFromLegacyLayout,
+  backfillVenueSeatMaps,
+};
@@ -0,0 +1,259 @@
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const { sectionOf } = require("./tickets");
+const { hasAttribute } = require("./seatMaps");
+const { SALES_FIELDS, salesClosedReason } = require("./eventSchedule");
+const { SeatHoldError, holdEvents, MAX_SEATS_PER_USER, isUnavailable, holdSeats, releaseHold } = require("./seatHolds");
+
+// How long a waitlisted user has to pay for offered seats before the offer passes on
+const OFFER_DURATION_MS = (parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 15) * 60 * 1000;
+
+// Position buckets for organizer stats
+const POSITION_BUCKETS = [
+  [1, 10],
+  [11, 25],
+  [26, 50],
+  [51, 100],
+  [101, Infinity],
+];
+
+// waiting -> offered -> claimed, or lapsed/declined when the offer isn't taken
+// up. `left` means the user took themselves off the list, `cancelled` that the
+// event was.
+const waitlistEntrySchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  section: { type: String }, // unset means any section will do
+  quantity: { type: Number, required: true, min: 1 },
+  status: {
+    type: String,
+    enum: ["waiting", "offered", "claimed", "lapsed", "declined", "left", "cancelled"],
+    default: "waiting",
+  },
+  offer: {
+    holdId: { type: mongoose.Schema.Types.ObjectId, ref: "SeatHold" },
+    seatIds: [String],
+    offeredAt: Date,
+    expiresAt: Date,
+  },
+  createdAt: { type: Date, default: Date.now },
+  settledAt: { type: Date },
+});
+waitlistEntrySchema.index({ eventId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ userId: 1, status: 1 });
+waitlistEntrySchema.index({ "offer.holdId": 1 });
+
+const WaitlistEntry = mongoose.models.WaitlistEntry || mongoose.model("WaitlistEntry", waitlistEntrySchema);
+
+// Emits "offered" with the entry whenever seats are offered to someone
+const waitlistEvents = new EventEmitter();
+
+class WaitlistError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const OPEN_STATUSES = ["waiting", "offered"];
+
+// Companion seats are left out, since they can't be sold without a wheelchair space
+const freeSeats = (seatingLayout, section, now = new Date()) =>
+  seatingLayout.filter(
+    (seat) =>
+      !isUnavailable(seat, now) && !hasAttribute(seat, "companion") && (!section || sectionOf(seat.id) === section)
+  );
+
+// Prefers seats that sit together in one row, otherwise takes the first free ones
+const pickSeats = (seats, quantity) => {
+  const rows = new Map();
+  seats.forEach((seat) => rows.set(seat.row, [...(rows.get(seat.row) || []), seat]));
+  const sameRow = [...rows.values()].find((rowSeats) => rowSeats.length >= quantity);
+  return (sameRow || seats).slice(0, quantity).map((seat) => seat.id);
+};
+
+// 1-based place among everyone still waiting for the event
+const positionOf = async ({ eventId, status, createdAt }) =>
+  status === "waiting"
+    ? 1 + (await WaitlistEntry.countDocuments({ eventId, status: "waiting", createdAt: { $lt: createdAt } }))
+    : null;
+
+const joinWaitlist = async ({ eventId, userId, section, quantity = 1 }) => {
+  quantity = Number(quantity);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_SEATS_PER_USER) {
+    throw new WaitlistError(400, `quantity must be a whole number between 1 and ${MAX_SEATS_PER_USER}.`);
+  }
+
+  const event = await mongoose.model("Event").findById(eventId, `seatingLayout ${SALES_FIELDS}`).lean();
+  if (!event) throw new WaitlistError(404, "Event not found");
+
+  const closed = salesClosedReason(event);
+  if (closed) throw new WaitlistError(409, closed);
+
+  section = section ? String(section) : undefined;
+  if (section && !event.seatingLayout.some((seat) => sectionOf(seat.id) === section)) {
+    throw new WaitlistError(400, `Unknown section: ${section}`);
+  }
+  if (freeSeats(event.seatingLayout, section).length >= quantity) {
+    throw new WaitlistError(400, "Seats are still available. Book them directly instead.");
+  }
+
+  if (await WaitlistEntry.exists({ eventId, userId, status: { $in: OPEN_STATUSES } })) {
+    throw new WaitlistError(409, "You are already on the waitlist for this event.");
+  }
+
+  const entry = await WaitlistEntry.create({ eventId, userId, section, quantity });
+  return { entry, position: await positionOf(entry) };
+};
+
+const listEntries = async (userId) => {
+  const entries = await WaitlistEntry.find({ userId })
+    .populate("eventId", "eventName eventDate time")
+    .sort({ createdAt: -1 });
+  return Promise.all(
+    entries.map(async (entry) => ({
+      ...entry.toObject(),
+      position: await positionOf({ eventId: entry.eventId?._id, status: entry.status, createdAt: entry.createdAt }),
+    }))
+  );
+};
+
+// Taking yourself off the list also gives back any seats you were offered
+const leaveWaitlist = async ({ entryId, userId }) => {
+  const entry = await WaitlistEntry.findOne({ _id: entryId, userId, status: { $in: OPEN_STATUSES } });
+  if (!entry) throw new WaitlistError(404, "Waitlist entry not found");
+
+  const holdId = entry.status === "offered" ? entry.offer.holdId : null;
+  entry.status = "left";
+  entry.settledAt = new Date();
+  await entry.save();
+
+  if (holdId) {
+    await releaseHold({ holdId, userId }).catch((err) => {
+      if (!(err instanceof SeatHoldError)) throw err; // already paid for or lapsed
+    });
+  }
+  return entry;
+};
+
+// Offers free seats to waiting users, oldest first. Someone further back can
+// be offered seats when there aren't enough for those ahead of them.
+const offerSeats = async (eventId) => {
+  const event = await mongoose.model("Event").findById(eventId, "seatingLayout").lean();
+  if (!event) return [];
+
+  const waiting = await WaitlistEntry.find({ eventId, status: "waiting" }).sort({ createdAt: 1 });
+  let available = freeSeats(event.seatingLayout);
+  const offered = [];
+
+  for (const entry of waiting) {
+    const candidates = available.filter((seat) => !entry.section || sectionOf(seat.id) === entry.section);
+    if (candidates.length < entry.quantity) continue;
+
+    let hold;
+    try {
+      hold = await holdSeats({
+        eventId,
+        userId: entry.userId,
+        seatIds: pickSeats(candidates, entry.quantity),
+        durationMs: OFFER_DURATION_MS,
+      });
+    } catch (err) {
+      if (!(err instanceof SeatHoldError)) throw err;
+      // Over their seat limit, or someone else got there first
+      const latest = await mongoose.model("Event").findById(eventId, "seatingLayout").lean();
+      available = freeSeats(latest.seatingLayout);
+      continue;
+    }
+
+    entry.status = "offered";
+    entry.offer = { holdId: hold._id, seatIds: hold.seatIds, offeredAt: new Date(), expiresAt: hold.expiresAt };
+    await entry.save();
+    available = available.filter((seat) => !hold.seatIds.includes(seat.id));
+    offered.push(entry);
+    waitlistEvents.emit("offered", entry);
+  }
+  return offered;
+};
+
+// One pass at a time per event, so two releases can't offer the same seats twice
+const running = new Map();
+
+const processWaitlist = (eventId) => {
+  const key = eventId.toString();
+  const next = (running.get(key) || Promise.resolve())
+    .catch(() => {}) // the previous pass already reported its own failure
+    .then(async () => ((await WaitlistEntry.exists({ eventId, status: "waiting" })) ? offerSeats(eventId) : []))
+    .finally(() => {
+      if (running.get(key) === next) running.delete(key);
+    });
+  running.set(key, next);
+  return next;
+};
+
+const settleOffer = (hold, status) =>
+  WaitlistEntry.updateOne(
+    { "offer.holdId": hold._id, status: "offered" },
+    { status, settledAt: new Date() }
+  );
+
+const logFailure = (err) => console.error("Waitlist processing failed:", err.message);
+
+holdEvents.on("confirmed", (hold) => {
+  settleOffer(hold, "claimed").catch(logFailure);
+});
+
+// A lapsed or released hold frees seats, whether or not it was a waitlist offer
+["expired", "released"].forEach((outcome) => {
+  holdEvents.on(outcome, (hold) => {
+    settleOffer(hold, outcome === "expired" ? "lapsed" : "declined")
+      .then(() => processWaitlist(hold.eventId))
+      .catch(logFailure);
+  });
+});
+
+holdEvents.on("seatsReleased", ({ eventId }) => {
+  processWaitlist(eventId).catch(logFailure);
+});
+
+const waitlistStats = async (eventId) => {
+  const entries = await WaitlistEntry.find({ eventId }, "section quantity status createdAt")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const byStatus = Object.fromEntries(waitlistEntrySchema.path("status").enumValues.map((status) => [status, 0]));
+  const bySection = new Map();
+  const waiting = entries.filter((entry) => entry.status === "waiting");
+
+  entries.forEach((entry) => (byStatus[entry.status] += 1));
+  waiting.forEach((entry) => {
+    const key = entry.section || null;
+    const stats = bySection.get(key) || { section: key, waiting: 0, seatsRequested: 0 };
+    stats.waiting += 1;
+    stats.seatsRequested += entry.quantity;
+    bySection.set(key, stats);
+  });
+
+  return {
+    length: waiting.length,
+    seatsRequested: waiting.reduce((sum, entry) => sum + entry.quantity, 0),
+    byStatus,
+    bySection: [...bySection.values()],
+    positions: POSITION_BUCKETS.map(([from, to]) => ({
+      range: to === Infinity ? `${from}+` : `${from}-${to}`,
+      count: waiting.filter((entry, index) => index + 1 >= from && index + 1 <= to).length,
+    })),
+    longestWaitMinutes: waiting.length > 0 ? Math.floor((Date.now() - waiting[0].createdAt) / 60000) : 0,
+  };
+};
+
+module.exports = {
+  WaitlistEntry,
+  WaitlistError,
+  waitlistEvents,
+  joinWaitlist,
+  listEntries,
+  leaveWaitlist,
+  processWaitlist,
+  waitlistStats,
+};